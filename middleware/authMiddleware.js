@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { hasPermission } from '../utils/permissions.js';
+import { isApiKey, authenticateApiKey } from '../utils/apiKeys.js';
+import { isSessionActive } from '../utils/sessions.js';
 
 // Verify access token
 const verifyAccessToken = (token) => {
@@ -7,7 +10,12 @@ const verifyAccessToken = (token) => {
     if (!process.env.JWT_SECRET) {
       throw new Error('JWT_SECRET is not configured');
     }
-    return jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Email verification and password reset tokens share the secret but are not access tokens
+    if (decoded.purpose) {
+      throw new Error('Invalid access token');
+    }
+    return decoded;
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Access token expired');
@@ -16,33 +24,47 @@ const verifyAccessToken = (token) => {
   }
 };
 
-// Verify refresh token
-const verifyRefreshToken = async (token) => {
-  try {
-    if (!process.env.REFRESH_TOKEN_SECRET) {
-      throw new Error('REFRESH_TOKEN_SECRET is not configured');
-    }
-    
-    const decoded = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
-    const user = await User.findById(decoded.id);
-    
-    if (!user || user.refreshToken !== token) {
-      throw new Error('Invalid refresh token');
-    }
-    
-    return user;
-  } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      throw new Error('Refresh token expired');
-    }
-    throw new Error('Invalid refresh token');
+// Read a credential from an "Authorization: Bearer <token>" header
+const getBearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token.trim() : undefined;
+};
+
+// Access token from the Authorization header (mobile and script clients) or the cookie
+const getAccessToken = (req) => {
+  const bearer = getBearerToken(req);
+  if (bearer && !isApiKey(bearer)) {
+    return bearer;
   }
+  return req.cookies.accessToken || req.cookies.token;
+};
+
+/**
+ * Resolve an access token to its user and session. Besides the signature and
+ * expiry, the account must still be active and the session not signed out,
+ * so deactivating an account or logging out takes effect immediately.
+ */
+const authenticateAccessToken = async (accessToken) => {
+  const decoded = verifyAccessToken(accessToken);
+
+  const user = await User.findById(decoded.id).select('-password -refreshToken');
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (!user.isActive) {
+    throw new Error('Account is deactivated');
+  }
+  if (!(await isSessionActive(decoded.sid, user._id))) {
+    throw new Error('Session has been signed out');
+  }
+
+  return { user, sessionId: decoded.sid };
 };
 
 const protect = async (req, res, next) => {
   try {
-    // Get access token from cookie
-    const accessToken = req.cookies.accessToken || req.cookies.token;
+    const accessToken = getAccessToken(req);
     
     if (!accessToken) {
       return res.status(401).json({ 
@@ -53,18 +75,12 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify access token
-      const decoded = verifyAccessToken(accessToken);
-      
-      // Get user from the token
-      const user = await User.findById(decoded.id).select('-password -refreshToken');
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
+      // Verify access token, account and session
+      const { user, sessionId } = await authenticateAccessToken(accessToken);
 
-      // Attach user to request object
+      // Attach user and current session to request object
       req.user = user;
+      req.sessionId = sessionId;
       next();
       
     } catch (error) {
@@ -89,12 +105,101 @@ const protect = async (req, res, next) => {
   }
 };
 
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Attach req.user when a valid access token is present, but never reject the request
+const optionalAuth = async (req, res, next) => {
+  const accessToken = getAccessToken(req);
+  
+  if (!accessToken) {
+    return next();
+  }
+
+  try {
+    const { user, sessionId } = await authenticateAccessToken(accessToken);
+    req.user = user;
+    req.sessionId = sessionId;
+  } catch (error) {
+    // Treat an invalid or expired token, or a closed session, as an anonymous request
+  }
+  next();
+};
+
+// Like protect, but also accepts an API key in the X-API-Key header or as a
+// Bearer token. Only use it on routes guarded by requirePermission, which
+// limits key requests to the key's scopes.
+const protectOrApiKey = async (req, res, next) => {
+  const bearer = getBearerToken(req);
+  const key = req.get('x-api-key') || (isApiKey(bearer) ? bearer : undefined);
+  if (!key) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const result = await authenticateApiKey(key);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key'
+      });
+    }
+    req.user = result.user;
+    req.apiKey = result.apiKey;
     next();
-  } else {
-    res.status(403).json({ message: 'Not authorized as an admin' });
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+// Block unverified accounts when REQUIRE_VERIFIED_EMAIL_FOR_ORDERS is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_FOR_ORDERS !== 'true' || req.user.isEmailVerified) {
+    return next();
+  }
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before placing orders',
+    shouldVerifyEmail: true
+  });
+};
+
+/**
+ * Why the request may not use the given permissions, or null if it may. The
+ * user's role must grant each one, a request made with an API key also needs
+ * each among the key's scopes, and with REQUIRE_ADMIN_2FA admins must have
+ * enrolled in 2FA. Owner-or-staff routes check their staff path with
+ * hasStaffAccess so it can never skip the 2FA requirement.
+ */
+const permissionDenial = (req, permissions) => {
+  const granted = (permission) =>
+    hasPermission(req.user, permission) && (!req.apiKey || req.apiKey.scopes.includes(permission));
+  if (!req.user || !permissions.every(granted)) {
+    return {
+      message: 'Not authorized to perform this action',
+      requiredPermissions: permissions
+    };
+  }
+  if (req.user.requiresTwoFactor() && !req.user.twoFactor.enabled) {
+    return {
+      message: 'Two-factor authentication is required for admin accounts',
+      shouldEnrollTwoFactor: true
+    };
+  }
+  return null;
+};
+
+// Whether the request may act as staff with every listed permission
+const hasStaffAccess = (req, ...permissions) => !permissionDenial(req, permissions);
+
+// Allow the request only if permissionDenial finds nothing against it
+const requirePermission = (...permissions) => (req, res, next) => {
+  const denial = permissionDenial(req, permissions);
+  if (denial) {
+    return res.status(403).json(denial);
   }
+  next();
 };
 
-export { protect, admin };
+export { protect, protectOrApiKey, optionalAuth, requireVerifiedEmail, requirePermission, hasStaffAccess };
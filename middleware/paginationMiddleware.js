@@ -0,0 +1,46 @@
+import { decodeCursor } from '../utils/pagination.js';
+
+// Deepest offset reachable with ?page=; beyond it clients must follow cursors
+const MAX_OFFSET = 10000;
+
+const parsePositiveInt = (value) => (/^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN);
+
+/**
+ * Validate ?page, ?limit and ?cursor and expose them as req.pagination
+ * ({ limit, page, skip, cursor }). Out-of-range values are rejected rather
+ * than passed on to MongoDB.
+ */
+const paginate = ({ defaultLimit = 10, maxLimit = 100 } = {}) => (req, res, next) => {
+  const { page: rawPage, limit: rawLimit, cursor: rawCursor } = req.query;
+  const errors = [];
+
+  const limit = rawLimit === undefined ? defaultLimit : parsePositiveInt(rawLimit);
+  if (!(limit >= 1 && limit <= maxLimit)) {
+    errors.push({ path: 'limit', msg: `Limit must be a whole number between 1 and ${maxLimit}` });
+  }
+
+  const page = rawPage === undefined ? 1 : parsePositiveInt(rawPage);
+  if (!(page >= 1)) {
+    errors.push({ path: 'page', msg: 'Page must be a whole number of at least 1' });
+  } else if ((page - 1) * limit > MAX_OFFSET) {
+    errors.push({ path: 'page', msg: 'Page is too deep; follow nextCursor to keep paging' });
+  }
+
+  let cursor;
+  if (rawCursor !== undefined) {
+    try {
+      cursor = decodeCursor(rawCursor);
+    } catch (error) {
+      errors.push({ path: 'cursor', msg: error.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ errors: errors.map((error) => ({ type: 'field', location: 'query', ...error })) });
+  }
+
+  req.pagination = { limit, page, skip: (page - 1) * limit, cursor };
+  next();
+};
+
+export { MAX_OFFSET, paginate };
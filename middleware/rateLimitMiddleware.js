@@ -0,0 +1,39 @@
+// Simple in-memory fixed-window rate limiter, keyed by IP unless told otherwise
+const rateLimit = ({
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later.'
+}) => {
+  const hits = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = keyGenerator(req);
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    // Drop expired windows occasionally so the map doesn't grow forever
+    if (hits.size > 1000) {
+      for (const [storedKey, stored] of hits) {
+        if (stored.resetAt <= now) hits.delete(storedKey);
+      }
+    }
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, message, retryAfter });
+    }
+
+    next();
+  };
+};
+
+export { rateLimit };
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+// Server-to-server credential; the secret itself is only ever stored as a hash
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a name for the key'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters'],
+    },
+    // Leading characters of the key, kept so admins can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // Requests made with the key act as this user, limited to the key's scopes
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    scopes: {
+      type: [{ type: String, enum: PERMISSIONS }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'An API key needs at least one scope',
+      },
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
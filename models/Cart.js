@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const GUEST_CART_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Product',
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  qty: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A cart belongs either to a user or, before login, to a guest cookie
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    guestId: {
+      type: String,
+    },
+    items: [cartItemSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ guestId: 1 }, { unique: true, partialFilterExpression: { guestId: { $exists: true } } });
+// Abandoned guest carts are removed automatically
+cartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_CART_TTL_SECONDS, partialFilterExpression: { guestId: { $exists: true } } }
+);
+
+// Find the line for a product, or for one of its variants
+cartSchema.methods.findItem = function (productId, variantId) {
+  return this.items.find((item) =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+// Add qty of a product, merging with an existing line for the same product and variant
+cartSchema.methods.addItem = function (productId, qty, variantId) {
+  const existing = this.findItem(productId, variantId);
+  if (existing) {
+    existing.qty += qty;
+  } else {
+    this.items.push({ product: productId, variant: variantId, qty });
+  }
+  return this;
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export { GUEST_CART_TTL_SECONDS };
+export default Cart;
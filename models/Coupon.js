@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Code is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: true,
+    },
+    // Percent off (0-100) for percentage coupons, currency amount for fixed ones
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Optional cap on the discount a percentage coupon can give
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    minOrderValue: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // When set, only matching items count towards the discount
+    categories: [{
+      type: String,
+      trim: true,
+    }],
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    }],
+    startsAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    // Total redemptions allowed across all users; unlimited when unset
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponSchema.pre('validate', function (next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+  if (this.startsAt && this.expiresAt && this.startsAt > this.expiresAt) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+  next();
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
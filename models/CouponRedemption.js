@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// How many times one user currently has a coupon redeemed, for its per-user limit
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Coupon',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
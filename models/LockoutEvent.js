@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Audit record written whenever an account or IP is locked out of login
+const lockoutEventSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    ip: {
+      type: String,
+    },
+    failures: {
+      type: Number,
+      required: true,
+    },
+    lockedUntil: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+lockoutEventSchema.index({ createdAt: -1 });
+
+const LockoutEvent = mongoose.model('LockoutEvent', lockoutEventSchema);
+
+export default LockoutEvent;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Failed-login counter for one account or IP, used by the MongoDB throttle store
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    windowStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
@@ -10,6 +10,10 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     ref: 'Product',
   },
+  // Set when the product is sold in variants
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  sku: { type: String },
+  attributes: { type: Map, of: String },
 });
 
 const shippingAddressSchema = new mongoose.Schema({
@@ -26,6 +30,51 @@ const paymentResultSchema = new mongoose.Schema({
   email_address: { type: String },
 });
 
+const ORDER_STATUSES = [
+  'pending',
+  'paid',
+  'processing',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'returned',
+  'refunded',
+];
+
+// Allowed next statuses for each status; anything else is rejected
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  returned: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+// Statuses in which an order counts as a completed purchase
+const PAID_ORDER_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+// Statuses in which an order still holds its reserved stock and coupon redemption
+const RESERVING_ORDER_STATUSES = ['pending', 'paid', 'processing'];
+
+const statusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: ORDER_STATUSES, required: true },
+  at: { type: Date, required: true, default: Date.now },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String },
+});
+
+// Snapshot of the coupon applied at checkout, so totals stay auditable
+const discountSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  code: { type: String, required: true },
+  discountType: { type: String, enum: ['percentage', 'fixed'], required: true },
+  value: { type: Number, required: true },
+  amount: { type: Number, required: true },
+});
+
 const orderSchema = new mongoose.Schema(
   {
     user: {
@@ -39,12 +88,24 @@ const orderSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    paymentProvider: {
+      type: String,
+    },
+    paymentId: {
+      type: String,
+    },
     paymentResult: paymentResultSchema,
     itemsPrice: {
       type: Number,
       required: true,
       default: 0.0,
     },
+    discount: discountSchema,
+    discountPrice: {
+      type: Number,
+      required: true,
+      default: 0.0,
+    },
     taxPrice: {
       type: Number,
       required: true,
@@ -60,28 +121,80 @@ const orderSchema = new mongoose.Schema(
       required: true,
       default: 0.0,
     },
-    isPaid: {
-      type: Boolean,
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
       required: true,
-      default: false,
+      default: 'pending',
     },
+    statusHistory: [statusChangeSchema],
     paidAt: {
       type: Date,
     },
-    isDelivered: {
-      type: Boolean,
-      required: true,
-      default: false,
-    },
     deliveredAt: {
       type: Date,
     },
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
+// Record the initial status when an order is first created
+orderSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status });
+  }
+  next();
+});
+
+// Kept for clients that still read the old boolean flags
+orderSchema.virtual('isPaid').get(function () {
+  return Boolean(this.paidAt);
+});
+
+orderSchema.virtual('isDelivered').get(function () {
+  return Boolean(this.deliveredAt);
+});
+
+orderSchema.methods.canTransitionTo = function (status) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+orderSchema.methods.hasBeenInStatus = function (status) {
+  return this.status === status || this.statusHistory.some((entry) => entry.status === status);
+};
+
+/**
+ * Move the order to a new status, recording it in statusHistory.
+ * Throws an error with status 400 if the transition is not allowed.
+ */
+orderSchema.methods.transitionTo = function (status, { by, note } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change order status from ${this.status} to ${status}`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (status === 'refunded' && !this.paidAt) {
+    const error = new Error('Only paid orders can be refunded');
+    error.status = 400;
+    throw error;
+  }
+
+  const at = new Date();
+  this.status = status;
+  this.statusHistory.push({ status, at, by, note });
+
+  if (status === 'paid') this.paidAt = at;
+  if (status === 'delivered') this.deliveredAt = at;
+
+  return this;
+};
+
 const Order = mongoose.model('Order', orderSchema);
 
+export { ORDER_STATUSES, ORDER_TRANSITIONS, PAID_ORDER_STATUSES, RESERVING_ORDER_STATUSES };
 export default Order;
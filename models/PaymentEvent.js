@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Records every processed payment webhook so redeliveries are ignored
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
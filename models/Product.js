@@ -1,4 +1,40 @@
 import mongoose from 'mongoose';
+import SearchSuggestion from './SearchSuggestion.js';
+
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // e.g. { size: '1/7 scale', edition: 'Deluxe', color: 'Red' }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Falls back to the product price when unset
+  price: {
+    type: Number,
+    min: 0
+  },
+  stock: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  images: [{
+    type: String
+  }]
+});
+
+// Human readable label such as "size: L, edition: Deluxe", or the SKU without attributes
+variantSchema.methods.label = function() {
+  const parts = [...this.attributes].map(([key, value]) => `${key}: ${value}`);
+  return parts.length > 0 ? parts.join(', ') : this.sku;
+};
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -25,6 +61,7 @@ const productSchema = new mongoose.Schema({
     type: String,
     required: true
   }],
+  variants: [variantSchema],
   category: {
     type: String,
     required: true
@@ -59,11 +96,103 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
+productSchema.pre('validate', function(next) {
+  const skus = this.variants.map((variant) => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Variant SKUs must be unique');
+  }
+  next();
+});
+
+// For products with variants, stock is the total across all variants
+productSchema.pre('save', function(next) {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  }
+  next();
+});
+
+// Keep the autocomplete index in step with the catalogue. Only products whose
+// name, category or review count changed are re-indexed, and category counts
+// are adjusted for the categories involved rather than recounted. A failure
+// here is logged rather than failing the save; npm run rebuild-suggestions
+// repairs it.
+const logSuggestionError = (error) => {
+  console.error('Search suggestion sync failed:', error.message);
+};
+
+// Category as last stored, so a save that moves the product can decrement it
+productSchema.post('init', function() {
+  this.$locals.storedCategory = this.category;
+});
+
+productSchema.pre('save', function(next) {
+  this.$locals.suggestionChanges = {
+    isNew: this.isNew,
+    reindex: this.isNew || this.isModified('name') || this.isModified('category') || this.isModified('numReviews'),
+    categoryChanged: !this.isNew && this.isModified('category'),
+  };
+  next();
+});
+
+productSchema.post('save', async function() {
+  const { isNew, reindex, categoryChanged } = this.$locals.suggestionChanges || {};
+  try {
+    if (reindex) {
+      await SearchSuggestion.indexProduct(this);
+    }
+    if (isNew) {
+      await SearchSuggestion.adjustCategoryCount(this.category, 1);
+    } else if (categoryChanged) {
+      await SearchSuggestion.adjustCategoryCount(this.$locals.storedCategory, -1);
+      await SearchSuggestion.adjustCategoryCount(this.category, 1);
+    }
+  } catch (error) {
+    logSuggestionError(error);
+  }
+  this.$locals.storedCategory = this.category;
+});
+
+productSchema.post('deleteOne', { document: true, query: false }, async function() {
+  try {
+    await SearchSuggestion.removeProduct(this._id);
+    await SearchSuggestion.adjustCategoryCount(this.$locals.storedCategory ?? this.category, -1);
+  } catch (error) {
+    logSuggestionError(error);
+  }
+});
+
+/**
+ * Store a product's review stats. Done with an update rather than save() so
+ * concurrent edits to the product aren't overwritten, which means the save
+ * hooks don't run; the suggestion weight follows numReviews, so refresh it here.
+ */
+productSchema.statics.setReviewStats = async function(productId, { rating, numReviews }) {
+  await this.updateOne({ _id: productId }, { rating, numReviews });
+  try {
+    await SearchSuggestion.updateOne(
+      { kind: 'product', product: productId },
+      { $set: { weight: numReviews } }
+    );
+  } catch (error) {
+    logSuggestionError(error);
+  }
+};
+
+// Price a customer pays for the product or one of its variants
+productSchema.methods.priceFor = function(variant) {
+  return variant && variant.price != null ? variant.price : this.price;
+};
+
 // Indexes for better query performance
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ isFeatured: 1 });
 productSchema.index({ isBestSeller: 1 });
 productSchema.index({ category: 1 });
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 const Product = mongoose.model('Product', productSchema);
 
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import Product from './Product.js';
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Product',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, createdAt: -1 });
+
+// Recompute Product.rating and Product.numReviews from the stored reviews
+reviewSchema.statics.updateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId) } },
+    { $group: { _id: '$product', rating: { $avg: '$rating' }, numReviews: { $sum: 1 } } },
+  ]);
+
+  await Product.setReviewStats(productId, {
+    rating: stats ? Math.round(stats.rating * 10) / 10 : 0,
+    numReviews: stats ? stats.numReviews : 0,
+  });
+};
+
+reviewSchema.post('save', async function () {
+  await this.constructor.updateProductRating(this.product);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function () {
+  await this.constructor.updateProductRating(this.product);
+});
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
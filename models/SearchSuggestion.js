@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import { MAX_PREFIX_LENGTH, normalizeText, tokenize, trigramsOf, prefixesOf } from '../utils/trigrams.js';
+
+// Suggestions scoring below this are too far from the query to show
+const MIN_SUGGESTION_SCORE = 0.3;
+
+// Autocomplete entry for one product name or one category, with the trigrams
+// and word prefixes used to match partial and misspelled queries
+const searchSuggestionSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['product', 'category'],
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    // Product name or category name as shown to shoppers
+    value: {
+      type: String,
+      required: true,
+    },
+    category: {
+      type: String,
+    },
+    // Products in the category, or review count for products; breaks score ties
+    weight: {
+      type: Number,
+      default: 0,
+    },
+    trigrams: [String],
+    prefixes: [String],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+searchSuggestionSchema.index(
+  { product: 1 },
+  { unique: true, partialFilterExpression: { kind: 'product' } }
+);
+searchSuggestionSchema.index(
+  { value: 1 },
+  { unique: true, partialFilterExpression: { kind: 'category' } }
+);
+searchSuggestionSchema.index({ trigrams: 1 });
+searchSuggestionSchema.index({ prefixes: 1 });
+
+const indexFields = (text) => ({ trigrams: trigramsOf(text), prefixes: prefixesOf(text) });
+
+// Create or refresh the entry for a product
+searchSuggestionSchema.statics.indexProduct = function (product) {
+  return this.updateOne(
+    { kind: 'product', product: product._id },
+    {
+      $set: {
+        value: product.name,
+        category: product.category,
+        weight: product.numReviews || 0,
+        ...indexFields(product.name),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+searchSuggestionSchema.statics.removeProduct = function (productId) {
+  return this.deleteOne({ kind: 'product', product: productId });
+};
+
+/**
+ * Add delta to a category's product count, creating its entry on the first
+ * product and dropping it once the count reaches zero.
+ */
+searchSuggestionSchema.statics.adjustCategoryCount = async function (category, delta) {
+  if (!category) return;
+
+  const entry = await this.findOneAndUpdate(
+    { kind: 'category', value: category },
+    { $inc: { weight: delta }, $setOnInsert: indexFields(category) },
+    { upsert: true, new: true }
+  );
+  if (entry.weight <= 0) {
+    // Conditional, so a product added in the meantime keeps the entry
+    await this.deleteOne({ _id: entry._id, weight: { $lte: 0 } });
+  }
+};
+
+/**
+ * Replace the category entries with the given { category: productCount }
+ * totals, dropping categories that no longer have any products.
+ */
+searchSuggestionSchema.statics.syncCategories = async function (counts) {
+  const categories = Object.keys(counts);
+  await this.deleteMany({ kind: 'category', value: { $nin: categories } });
+  if (categories.length === 0) return;
+
+  await this.bulkWrite(
+    categories.map((category) => ({
+      updateOne: {
+        filter: { kind: 'category', value: category },
+        update: { $set: { weight: counts[category], ...indexFields(category) } },
+        upsert: true,
+      },
+    }))
+  );
+};
+
+/**
+ * Match a partly typed query against the entries. Every word counts as a
+ * prefix, and trigram overlap catches typos, so "naru" finds "Naruto" and
+ * "ranma 1/2 figur" finds "Ranma ½ Figure".
+ */
+searchSuggestionSchema.statics.suggest = async function (query, { limit = 8, categoryLimit = 5 } = {}) {
+  const tokens = [...new Set(tokenize(query).map((token) => token.slice(0, MAX_PREFIX_LENGTH)))];
+  const grams = trigramsOf(query);
+  if (tokens.length === 0 || normalizeText(query).length < 2) {
+    return { products: [], categories: [] };
+  }
+
+  const ranked = (kind, size) => [
+    { $match: { kind } },
+    { $sort: { score: -1, weight: -1, value: 1 } },
+    { $limit: size },
+  ];
+
+  const [result] = await this.aggregate([
+    { $match: { $or: [{ prefixes: { $in: tokens } }, { trigrams: { $in: grams } }] } },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            // Share of the query's trigrams found in the entry (typo tolerance)
+            { $multiply: [0.6, { $divide: [{ $size: { $setIntersection: ['$trigrams', grams] } }, grams.length] }] },
+            // Share of the query's words that start a word in the entry (typing ahead)
+            { $multiply: [0.4, { $divide: [{ $size: { $setIntersection: ['$prefixes', tokens] } }, tokens.length] }] },
+          ],
+        },
+      },
+    },
+    { $match: { score: { $gte: MIN_SUGGESTION_SCORE } } },
+    { $project: { trigrams: 0, prefixes: 0 } },
+    { $facet: { products: ranked('product', limit), categories: ranked('category', categoryLimit) } },
+  ]);
+
+  return result;
+};
+
+const SearchSuggestion = mongoose.model('SearchSuggestion', searchSuggestionSchema);
+
+export default SearchSuggestion;
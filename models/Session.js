@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// One login on one device; the refresh token for it is stored only as a hash
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
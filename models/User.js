@@ -1,6 +1,47 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { ROLES } from '../utils/permissions.js';
+
+// Saved address in the user's address book
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: 'Home',
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  fullName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Full name cannot exceed 100 characters']
+  },
+  address: {
+    type: String,
+    required: [true, 'Address is required'],
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    required: [true, 'Postal code is required'],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  }
+});
 
 const userSchema = new mongoose.Schema(
   {
@@ -26,12 +67,18 @@ const userSchema = new mongoose.Schema(
       minlength: [8, 'Password must be at least 8 characters'],
       select: false // Don't return password in queries by default
     },
+    passwordChangedAt: {
+      type: Date
+    },
     
     // Account Status
     isEmailVerified: {
       type: Boolean,
       default: false
     },
+    verificationEmailSentAt: {
+      type: Date
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -39,11 +86,45 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date
     },
+    // Set when the account is closed and its personal data anonymized
+    deletedAt: {
+      type: Date
+    },
+    
+    // Two-Factor Authentication (TOTP)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 hashes of unused backup codes
+      backupCodes: {
+        type: [String],
+        select: false
+      },
+      // Time step of the last accepted code, so a code can't be replayed
+      lastUsedCounter: {
+        type: Number,
+        select: false
+      },
+      enabledAt: {
+        type: Date
+      }
+    },
     
     // Profile
     role: {
       type: String,
-      enum: ['user', 'admin'],
+      enum: ROLES,
       default: 'user'
     },
     avatar: {
@@ -51,20 +132,53 @@ const userSchema = new mongoose.Schema(
       default: ''
     },
     
+    // External identities (Google, Discord, ...) that can sign in as this user
+    oauthAccounts: [
+      {
+        provider: {
+          type: String,
+          required: true
+        },
+        providerId: {
+          type: String,
+          required: true
+        },
+        email: {
+          type: String,
+          lowercase: true
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    
     // Contact Information
     phone: {
       type: String,
       default: '',
       match: [/^[+]*[(]{0,1}[0-9]{1,4}[)]{0,1}[-\s\./0-9]*$/, 'Please enter a valid phone number']
     },
-    refreshToken: {
-      type: String,
-      select: false
+    
+    // Address book; the defaults point at entries in addresses
+    addresses: [addressSchema],
+    defaultShippingAddress: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    defaultBillingAddress: {
+      type: mongoose.Schema.Types.ObjectId
     }
   },
   { timestamps: true }
 );
 
+// An external identity can belong to only one account
+userSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.providerId': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   console.log('Pre-save hook triggered for user:', this.email);
@@ -77,6 +191,9 @@ userSchema.pre('save', async function (next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -92,50 +209,89 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Generate JWT tokens
-userSchema.methods.generateAuthTokens = function() {
+// Generate JWT tokens for a login session
+// The session ID lets refresh tokens be rotated and revoked per device
+userSchema.methods.generateAuthTokens = function(sessionId) {
   if (!process.env.JWT_SECRET || !process.env.REFRESH_TOKEN_SECRET) {
     throw new Error('JWT secrets are not configured');
   }
 
   // Access Token (short-lived)
   const accessToken = jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId },
     process.env.JWT_SECRET,
     { expiresIn: '15m' }
   );
 
-  // Refresh Token (longer-lived)
+  // Refresh Token (longer-lived); jti keeps each rotated token unique
   const refreshToken = jwt.sign(
-    { id: this._id },
+    { id: this._id, sid: sessionId, jti: crypto.randomUUID() },
     process.env.REFRESH_TOKEN_SECRET,
     { expiresIn: '7d' }
   );
-
-  // Save refresh token to user document
-  this.refreshToken = refreshToken;
   
   return { accessToken, refreshToken };
 };
 
 // Generate email verification token
+// The purpose claim stops it being accepted as an access token (and vice versa);
+// the email claim stops it verifying an address the account changes to later
 userSchema.methods.generateVerificationToken = function() {
   return jwt.sign(
-    { id: this._id },
+    { id: this._id, purpose: 'verify-email', email: this.email },
     process.env.JWT_SECRET,
     { expiresIn: '24h' }
   );
 };
 
 // Generate password reset token
+// Embeds the last password change so the token stops working once it has been used
 userSchema.methods.generatePasswordResetToken = function() {
   return jwt.sign(
-    { id: this._id },
+    { id: this._id, purpose: 'reset-password', pwdChangedAt: this.passwordResetStamp() },
+    process.env.JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+};
+
+// Emailed confirmation for closing the account, for users who can't confirm
+// with a password (OAuth sign-ups never see theirs)
+userSchema.methods.generateAccountDeletionToken = function() {
+  return jwt.sign(
+    { id: this._id, purpose: 'delete-account', email: this.email },
     process.env.JWT_SECRET,
     { expiresIn: '1h' }
   );
 };
 
+// Switch to a new email address, which has to be verified again
+userSchema.methods.changeEmail = function(email) {
+  this.email = email;
+  this.isEmailVerified = false;
+  this.verificationEmailSentAt = undefined;
+  return this;
+};
+
+// Whether this account must have 2FA before it can use admin features
+userSchema.methods.requiresTwoFactor = function() {
+  return this.role === 'admin' && process.env.REQUIRE_ADMIN_2FA === 'true';
+};
+
+// Value a reset token must carry to still be valid for this user
+userSchema.methods.passwordResetStamp = function() {
+  return this.passwordChangedAt ? this.passwordChangedAt.getTime() : 0;
+};
+
+// Drop default address pointers whose address has been removed
+userSchema.pre('validate', function(next) {
+  for (const field of ['defaultShippingAddress', 'defaultBillingAddress']) {
+    if (this[field] && !this.addresses.id(this[field])) {
+      this[field] = undefined;
+    }
+  }
+  next();
+});
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Product',
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Last time the user was told this product came back in stock
+  notifiedAt: {
+    type: Date,
+  },
+});
+
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true,
+      ref: 'User',
+    },
+    items: [wishlistItemSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Back-in-stock notifications look up every wishlist containing a product
+wishlistSchema.index({ 'items.product': 1 });
+
+// Find the entry for a product, or for one of its variants
+wishlistSchema.methods.findItem = function (productId, variantId) {
+  return this.items.find((item) =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+export default Wishlist;
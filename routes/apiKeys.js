@@ -0,0 +1,110 @@
+import express from 'express';
+import { check, validationResult } from 'express-validator';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import ApiKey from '../models/ApiKey.js';
+import { issueApiKey } from '../utils/apiKeys.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// Keys can't manage other keys, so a leaked key can't mint more of itself
+const API_KEY_SCOPES = PERMISSIONS.filter((permission) => permission !== 'api-keys:manage');
+
+// @route   GET /api/api-keys
+// @desc    List API keys
+// @access  Private (api-keys:manage)
+router.get('/', protect, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: { $exists: false } };
+    const apiKeys = await ApiKey.find(filter)
+      .populate('user', 'name email role')
+      .sort({ createdAt: -1 });
+
+    res.json(apiKeys);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Issue an API key; the key itself is only returned in this response
+// @access  Private (api-keys:manage)
+router.post(
+  '/',
+  [
+    protect,
+    requirePermission('api-keys:manage'),
+    [
+      check('name', 'Name is required').isString().trim().notEmpty(),
+      check('scopes', 'Scopes must be a non-empty array').isArray({ min: 1 }),
+      check('scopes.*', 'Unknown scope').isIn(API_KEY_SCOPES),
+      check('expiresAt', 'Expiry date must be a valid future date')
+        .optional({ nullable: true })
+        .isISO8601()
+        .custom((value) => new Date(value) > new Date())
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // A key acts as the admin who issued it, so it can't hold more than they do
+    const scopes = [...new Set(req.body.scopes)];
+    const notGranted = scopes.filter((scope) => !hasPermission(req.user, scope));
+    if (notGranted.length > 0) {
+      return res.status(403).json({ msg: 'You cannot grant scopes you do not have', scopes: notGranted });
+    }
+
+    try {
+      const { key, apiKey } = await issueApiKey({
+        name: req.body.name,
+        user: req.user._id,
+        scopes,
+        expiresAt: req.body.expiresAt || undefined
+      });
+
+      const apiKeyResponse = apiKey.toObject();
+      delete apiKeyResponse.keyHash;
+
+      res.status(201).json({ ...apiKeyResponse, key });
+    } catch (err) {
+      console.error(err.message);
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({ msg: err.message });
+      }
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (api-keys:manage)
+router.delete('/:id', protect, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ msg: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ msg: 'API key already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    res.json({ msg: 'API key revoked' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'API key not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+export default router;
@@ -2,9 +2,53 @@ import express from 'express';
 import { check, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import jwt from 'jsonwebtoken';
+import { GUEST_CART_COOKIE, getGuestCartCookieOptions, mergeGuestCart } from '../utils/cart.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/authEmails.js';
+import { protect, optionalAuth, requirePermission } from '../middleware/authMiddleware.js';
+import {
+  REFRESH_TOKEN_COOKIE_PATH,
+  LEGACY_REFRESH_TOKEN_COOKIE_PATH,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  listActiveSessions
+} from '../utils/sessions.js';
+import { rateLimit } from '../middleware/rateLimitMiddleware.js';
+import { paginate } from '../middleware/paginationMiddleware.js';
+import { findPage, pageMeta } from '../utils/pagination.js';
+import { checkLoginAllowed, recordLoginFailure, resetLoginFailures } from '../utils/loginThrottle.js';
+import LockoutEvent from '../models/LockoutEvent.js';
+import { permissionsForRole } from '../utils/permissions.js';
+import {
+  TWO_FACTOR_SECRETS,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  verifySecondFactor,
+  createMfaChallenge,
+  verifyMfaChallenge,
+  MFA_CHALLENGE_TTL_SECONDS
+} from '../utils/twoFactor.js';
+import { createPkcePair, getOAuthProvider, getOAuthRedirectUri } from '../utils/oauthProviders.js';
+import {
+  OAUTH_STATE_COOKIE,
+  getOAuthStateCookieOptions,
+  createOAuthState,
+  readOAuthState,
+  safeReturnPath,
+  resolveOAuthUser
+} from '../utils/oauth.js';
 
 const router = express.Router();
 
+// Minimum time between verification emails for one account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
 // Get cookie options
 const getCookieOptions = (isRefreshToken = false) => ({
   httpOnly: true,
@@ -12,7 +56,7 @@ const getCookieOptions = (isRefreshToken = false) => ({
   // In development, use Lax for localhost so cookies set without Secure
   sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
   domain: process.env.NODE_ENV === 'production' ? '.yourdomain.com' : undefined,
-  path: isRefreshToken ? '/api/auth/refresh-token' : '/',
+  path: isRefreshToken ? REFRESH_TOKEN_COOKIE_PATH : '/',
   maxAge: isRefreshToken 
     ? 7 * 24 * 60 * 60 * 1000 // 7 days for refresh token
     : 15 * 60 * 1000, // 15 minutes for access token
@@ -22,8 +66,74 @@ const getCookieOptions = (isRefreshToken = false) => ({
 const setTokenCookies = (res, { accessToken, refreshToken }) => {
   res.cookie('accessToken', accessToken, getCookieOptions(false));
   res.cookie('refreshToken', refreshToken, getCookieOptions(true));
-  // Clear legacy cookie name if present
+  // Clear legacy cookie name and path if present
   res.clearCookie('token', { ...getCookieOptions(false), path: '/' });
+  res.clearCookie('refreshToken', { ...getCookieOptions(true), path: LEGACY_REFRESH_TOKEN_COOKIE_PATH, maxAge: undefined });
+};
+
+// User object safe to send to the client
+const toUserResponse = (user) => {
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  if (userResponse.twoFactor) {
+    delete userResponse.twoFactor.secret;
+    delete userResponse.twoFactor.pendingSecret;
+    delete userResponse.twoFactor.backupCodes;
+    delete userResponse.twoFactor.lastUsedCounter;
+  }
+  // Lets clients show or hide staff tools without hard-coding role names
+  userResponse.permissions = permissionsForRole(user.role);
+  return userResponse;
+};
+
+// The OAuth callback hands a 2FA challenge to the browser in this cookie rather
+// than in the redirect URL, where it would end up in history, logs and Referer
+const MFA_CHALLENGE_COOKIE = 'mfaChallenge';
+
+const getMfaChallengeCookieOptions = () => ({
+  ...getCookieOptions(false),
+  path: '/api/auth/login/2fa',
+  maxAge: MFA_CHALLENGE_TTL_SECONDS * 1000
+});
+
+// Start a session for a signed-in user, set the token cookies and return the access token
+const startLoginSession = async (req, res, user) => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Start a session for this device and issue its tokens
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  // Set tokens in HTTP-only cookies
+  setTokenCookies(res, { accessToken, refreshToken });
+
+  // Carry over anything added to the cart before logging in
+  const guestCartId = req.cookies[GUEST_CART_COOKIE];
+  if (guestCartId) {
+    try {
+      await mergeGuestCart(guestCartId, user._id);
+      res.clearCookie(GUEST_CART_COOKIE, { ...getGuestCartCookieOptions(), maxAge: undefined });
+    } catch (cartError) {
+      console.error('Guest cart merge error:', cartError);
+    }
+  }
+
+  return accessToken;
+};
+
+// Final login step shared by password, two-factor and OAuth logins
+const completeLogin = async (req, res, user, extra = {}) => {
+  const accessToken = await startLoginSession(req, res, user);
+
+  // Return success response
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: toUserResponse(user),
+    accessToken,
+    ...extra
+  });
 };
 
 /**
@@ -68,32 +178,27 @@ router.post('/register', [
     // Save user to database
     await user.save();
 
-    // Generate email verification token
-    const verificationToken = user.generateVerificationToken();
-    
-    // TODO: Send verification email
-    console.log('Verification token:', verificationToken);
+    // Send email verification link; registration still succeeds if delivery fails
+    try {
+      await sendVerificationEmail(user, user.generateVerificationToken());
+      user.verificationEmailSentAt = new Date();
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
 
-    // Generate auth tokens
-    const { accessToken, refreshToken } = user.generateAuthTokens();
-    
-    // Save refresh token to database
-    user.refreshToken = refreshToken;
     await user.save();
 
+    // Start a session for this device and issue its tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
+
     // Set tokens in HTTP-only cookies
     setTokenCookies(res, { accessToken, refreshToken });
 
-    // Prepare user response without sensitive data
-    const userResponse = user.toObject();
-    delete userResponse.password;
-    delete userResponse.refreshToken;
-
     // Return success response
     res.status(201).json({
       success: true,
       message: 'Registration successful. Please check your email to verify your account.',
-      user: userResponse,
+      user: toUserResponse(user),
       accessToken
     });
 
@@ -128,9 +233,21 @@ router.post('/login', [
   const { email, password } = req.body;
 
   try {
+    // Refuse early while the account or IP is being throttled
+    const throttle = await checkLoginAllowed({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.status).json({
+        success: false,
+        message: throttle.message,
+        retryAfter: throttle.retryAfter
+      });
+    }
+
     // Check if user exists
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordLoginFailure({ email, ip: req.ip });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -140,6 +257,7 @@ router.post('/login', [
     // Check if password is correct
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure({ email, ip: req.ip, user });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -154,39 +272,434 @@ router.post('/login', [
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    // Accounts with 2FA get a short-lived challenge instead of tokens. The
+    // failure count carries over until the second factor succeeds, so a known
+    // password can't be used to reset it between guesses at the code
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: createMfaChallenge(user)
+      });
+    }
+
+    await resetLoginFailures({ email });
+
+    // Admins who must use 2FA can sign in, but admin routes stay closed until they enroll
+    await completeLogin(req, res, user, user.requiresTwoFactor() ? { mustEnrollTwoFactor: true } : {});
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Finish a login with a TOTP or backup code
+ * @access  Public (requires MFA challenge token)
+ */
+router.post('/login/2fa', rateLimit({ windowMs: 15 * 60 * 1000, max: 10 }), [
+  // Sent by the client, or set as a cookie by the OAuth callback
+  check('mfaToken', 'MFA token is required')
+    .custom((value, { req }) => Boolean(value || req.cookies[MFA_CHALLENGE_COOKIE])),
+  check('code', 'Verification code is required').trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const challenge = verifyMfaChallenge(req.body.mfaToken || req.cookies[MFA_CHALLENGE_COOKIE]);
+    const user = challenge && await User.findById(challenge.id).select(TWO_FACTOR_SECRETS);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge. Please log in again.'
+      });
+    }
+
+    // Wrong codes count towards the same per-account lockout as wrong passwords
+    const throttle = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.status).json({
+        success: false,
+        message: throttle.message,
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const result = verifySecondFactor(user, req.body.code);
+    if (!result) {
+      await recordLoginFailure({ email: user.email, ip: req.ip, user });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await resetLoginFailures({ email: user.email });
+    res.clearCookie(MFA_CHALLENGE_COOKIE, { ...getMfaChallengeCookieOptions(), maxAge: undefined });
+
+    await completeLogin(req, res, user, result.method === 'backup-code'
+      ? { remainingBackupCodes: result.remainingBackupCodes }
+      : {});
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Exchange an authorization code with the provider and find, link or create
+ * the matching account. Throws errors with a status and code on failure.
+ */
+const signInWithOAuth = async (provider, { code, codeVerifier, redirectUri }) => {
+  const tokens = await provider.exchangeCode({ code, codeVerifier, redirectUri });
+  const profile = await provider.fetchProfile(tokens);
+  const { user, created, linked } = await resolveOAuthUser(provider.name, profile);
+
+  if (!user.isActive) {
+    const error = new Error('Account is deactivated. Please contact support.');
+    error.status = 403;
+    error.code = 'account_deactivated';
+    throw error;
+  }
+  return { user, created, linked };
+};
+
+/**
+ * @route   GET /api/auth/oauth/:provider?returnTo=
+ * @desc    Redirect the browser to the provider to sign in
+ * @access  Public
+ */
+router.get('/oauth/:provider', (req, res) => {
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown sign-in provider'
+    });
+  }
+
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const { state, cookie } = createOAuthState({
+    provider: provider.name,
+    codeVerifier,
+    returnTo: safeReturnPath(req.query.returnTo)
+  });
+
+  res.cookie(OAUTH_STATE_COOKIE, cookie, getOAuthStateCookieOptions());
+  res.redirect(provider.getAuthorizationUrl({
+    state,
+    codeChallenge,
+    redirectUri: getOAuthRedirectUri(provider.name)
+  }));
+});
+
+/**
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @desc    Finish a browser sign-in and redirect back to the client
+ * @access  Public
+ */
+router.get('/oauth/:provider/callback', async (req, res) => {
+  const redirectToLogin = (params) =>
+    res.redirect(`${getClientUrl()}/login?${new URLSearchParams(params)}`);
+
+  const provider = getOAuthProvider(req.params.provider);
+  const saved = readOAuthState(req.cookies[OAUTH_STATE_COOKIE], req.params.provider);
+  res.clearCookie(OAUTH_STATE_COOKIE, { ...getOAuthStateCookieOptions(), maxAge: undefined });
+
+  if (!provider) {
+    return redirectToLogin({ oauthError: 'unknown_provider' });
+  }
+  if (req.query.error) {
+    return redirectToLogin({ oauthError: 'access_denied' });
+  }
+  if (!saved || !req.query.code || req.query.state !== saved.state) {
+    return redirectToLogin({ oauthError: 'invalid_state' });
+  }
+
+  try {
+    const { user } = await signInWithOAuth(provider, {
+      code: String(req.query.code),
+      codeVerifier: saved.codeVerifier,
+      redirectUri: getOAuthRedirectUri(provider.name)
+    });
+
+    // The provider stands in for the password, not for the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      res.cookie(MFA_CHALLENGE_COOKIE, createMfaChallenge(user), getMfaChallengeCookieOptions());
+      return redirectToLogin({ mfaRequired: 'true' });
+    }
+
+    await startLoginSession(req, res, user);
+    res.redirect(`${getClientUrl()}${saved.returnTo}`);
+  } catch (error) {
+    console.error('OAuth callback error:', error.message);
+    redirectToLogin({ oauthError: error.code || 'server_error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/oauth/:provider/callback
+ * @desc    Finish a sign-in for clients that ran the PKCE flow themselves
+ *          (mobile apps), sending the code and their own code verifier
+ * @access  Public
+ */
+router.post('/oauth/:provider/callback', rateLimit({ windowMs: 15 * 60 * 1000, max: 20 }), [
+  check('code', 'Authorization code is required').isString().notEmpty(),
+  check('codeVerifier', 'Code verifier is required').isString().isLength({ min: 43, max: 128 }),
+  check('redirectUri', 'Redirect URI must be a valid URL').optional().isURL({ require_tld: false })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown sign-in provider'
+    });
+  }
+
+  try {
+    const { user, created, linked } = await signInWithOAuth(provider, {
+      code: req.body.code,
+      codeVerifier: req.body.codeVerifier,
+      redirectUri: req.body.redirectUri || getOAuthRedirectUri(provider.name)
+    });
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: createMfaChallenge(user)
+      });
+    }
+
+    await completeLogin(req, res, user, {
+      accountCreated: created,
+      accountLinked: linked,
+      ...(user.requiresTwoFactor() ? { mustEnrollTwoFactor: true } : {})
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('OAuth sign-in error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during sign-in',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment and get the provisioning URI for a QR code
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = beginEnrollment(user);
     await user.save();
 
-    // Generate auth tokens
-    const { accessToken, refreshToken } = user.generateAuthTokens();
-    
-    // Save refresh token to database
-    user.refreshToken = refreshToken;
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and receive backup codes
+ * @access  Private
+ */
+router.post('/2fa/enable', protect, [
+  check('code', 'Verification code is required').trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const backupCodes = confirmEnrollment(user, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
     await user.save();
 
-    // Set tokens in HTTP-only cookies
-    setTokenCookies(res, { accessToken, refreshToken });
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe.',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
 
-    // Prepare user response without sensitive data
-    const userResponse = user.toObject();
-    delete userResponse.password;
-    delete userResponse.refreshToken;
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace backup codes (requires a current code)
+ * @access  Private
+ */
+router.post('/2fa/backup-codes', protect, [
+  check('code', 'Verification code is required').trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor.enabled || !verifySecondFactor(user, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const backupCodes = regenerateBackupCodes(user);
+    await user.save();
 
-    // Return success response
     res.json({
       success: true,
-      message: 'Login successful',
-      user: userResponse,
-      accessToken
+      backupCodes
+    });
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating backup codes'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off 2FA (requires password and a current code)
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, [
+  check('password', 'Password is required').notEmpty(),
+  check('code', 'Verification code is required').trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array()
     });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRETS}`);
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for admin accounts'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const passwordOk = await user.comparePassword(req.body.password);
+    if (!passwordOk || !verifySecondFactor(user, req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    disableTwoFactor(user);
+    await user.save();
 
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ 
+    console.error('2FA disable error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Server error during login',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Server error while disabling two-factor authentication'
     });
   }
 });
@@ -196,17 +709,20 @@ router.post('/login', [
  * @desc    Logout user and clear cookies
  * @access  Private
  */
-router.post('/logout', async (req, res) => {
+router.post('/logout', optionalAuth, async (req, res) => {
   try {
-    // Clear refresh token from database if user is logged in
-    const refreshToken = req.cookies.refreshToken;
-    if (refreshToken) {
-      try {
-        const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-        await User.findByIdAndUpdate(decoded.id, { $unset: { refreshToken: 1 } });
-      } catch (error) {
-        console.error('Error clearing refresh token:', error);
+    // Revoke this device's session. The refresh token identifies it even when
+    // the access token has expired; the access token covers clients without one
+    const refreshToken = req.cookies.refreshToken || req.get('x-refresh-token') || req.body?.refreshToken;
+    try {
+      if (refreshToken) {
+        await revokeSessionByRefreshToken(refreshToken);
+      }
+      if (req.user && req.sessionId) {
+        await revokeSession(req.sessionId, req.user._id);
       }
+    } catch (error) {
+      console.error('Error revoking session:', error);
     }
 
     // Clear cookies
@@ -217,7 +733,8 @@ router.post('/logout', async (req, res) => {
       domain: process.env.NODE_ENV === 'production' ? '.yourdomain.com' : undefined,
     };
     res.clearCookie('accessToken', { ...baseClearOpts, path: '/' });
-    res.clearCookie('refreshToken', { ...baseClearOpts, path: '/api/auth/refresh-token' });
+    res.clearCookie('refreshToken', { ...baseClearOpts, path: REFRESH_TOKEN_COOKIE_PATH });
+    res.clearCookie('refreshToken', { ...baseClearOpts, path: LEGACY_REFRESH_TOKEN_COOKIE_PATH });
     res.clearCookie('token', { ...baseClearOpts, path: '/' });
     
     res.json({ 
@@ -250,26 +767,9 @@ router.post('/refresh-token', async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-    
-    // Find user with this refresh token
-    const user = await User.findOne({ _id: decoded.id, refreshToken });
-    
-    if (!user) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Invalid refresh token',
-        shouldLogout: true
-      });
-    }
-
-    // Generate new tokens
-    const { accessToken: newAccessToken, refreshToken: newRefreshToken } = user.generateAuthTokens();
-    
-    // Update refresh token in database
-    user.refreshToken = newRefreshToken;
-    await user.save();
+    // Rotate the session's refresh token; an already-used token revokes the session
+    const { accessToken: newAccessToken, refreshToken: newRefreshToken } =
+      await rotateSession(refreshToken, req);
 
     // Set new tokens in cookies
     setTokenCookies(res, { 
@@ -283,7 +783,11 @@ router.post('/refresh-token', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Refresh token error:', error);
+    if (error.reused) {
+      console.warn('Refresh token reuse detected; session revoked');
+    } else {
+      console.error('Refresh token error:', error.message);
+    }
     
     // Clear invalid tokens
     const baseClearOpts = {
@@ -293,7 +797,8 @@ router.post('/refresh-token', async (req, res) => {
       domain: process.env.NODE_ENV === 'production' ? '.yourdomain.com' : undefined,
     };
     res.clearCookie('accessToken', { ...baseClearOpts, path: '/' });
-    res.clearCookie('refreshToken', { ...baseClearOpts, path: '/api/auth/refresh-token' });
+    res.clearCookie('refreshToken', { ...baseClearOpts, path: REFRESH_TOKEN_COOKIE_PATH });
+    res.clearCookie('refreshToken', { ...baseClearOpts, path: LEGACY_REFRESH_TOKEN_COOKIE_PATH });
     res.clearCookie('token', { ...baseClearOpts, path: '/' });
     
     res.status(401).json({ 
@@ -304,4 +809,329 @@ router.post('/refresh-token', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while listing sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke every session except the current one
+ * @access  Private
+ */
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id, { except: req.sessionId });
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await revokeSession(req.params.id, req.user._id, 'revoked-by-user');
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/lockouts
+ * @desc    List login lockout events
+ * @access  Private (security:read)
+ */
+router.get('/lockouts', protect, requirePermission('security:read'), paginate({ defaultLimit: 20 }), async (req, res) => {
+  try {
+    const { email } = req.query;
+    const filter = email ? { email: String(email).toLowerCase() } : {};
+
+    const { items: lockouts, total, nextCursor } = await findPage(LockoutEvent, filter, {
+      sort: { createdAt: -1 },
+      pagination: req.pagination,
+      populate: ['user', 'name email']
+    });
+
+    res.json({
+      success: true,
+      lockouts,
+      ...pageMeta(req, res, { total, nextCursor }),
+      totalLockouts: total
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('List lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while listing lockouts'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/verify-email?token=
+ * @desc    Confirm a user's email address
+ * @access  Public
+ */
+router.get('/verify-email', async (req, res) => {
+  const { token } = req.query;
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification token is required'
+    });
+  }
+
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'verify-email') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || decoded.email !== user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post(
+  '/resend-verification',
+  rateLimit({ windowMs: 15 * 60 * 1000, max: 5 }),
+  protect,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (user.isEmailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already verified'
+        });
+      }
+
+      const sentAt = user.verificationEmailSentAt ? user.verificationEmailSentAt.getTime() : 0;
+      const waitMs = sentAt + VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+      if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Please wait before requesting another verification email',
+          retryAfter
+        });
+      }
+
+      await sendVerificationEmail(user, user.generateVerificationToken());
+      user.verificationEmailSentAt = new Date();
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while sending verification email',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  rateLimit({ windowMs: 15 * 60 * 1000, max: 5 }),
+  [check('email', 'Please include a valid email').trim().isEmail()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+      // Send in the background so response time doesn't reveal whether the account exists
+      if (user && user.isActive) {
+        sendPasswordResetEmail(user, user.generatePasswordResetToken()).catch((emailError) => {
+          console.error('Password reset email error:', emailError);
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent.'
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during password reset request',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', [
+  check('token', 'Reset token is required').notEmpty(),
+  check('password', 'Password must be at least 8 characters').isLength({ min: 8 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { token, password } = req.body;
+
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    const user = decoded && decoded.purpose === 'reset-password'
+      ? await User.findById(decoded.id)
+      : null;
+
+    // A changed password means this token was already used (or superseded)
+    if (!user || decoded.pwdChangedAt !== user.passwordResetStamp()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Sign out every device that was using the old password
+    await revokeAllSessions(user._id, { reason: 'password-reset' });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 export default router;
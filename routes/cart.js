@@ -0,0 +1,182 @@
+import express from 'express';
+import { check, validationResult } from 'express-validator';
+import { v4 as uuidv4 } from 'uuid';
+import { optionalAuth } from '../middleware/authMiddleware.js';
+import Cart from '../models/Cart.js';
+import Product from '../models/Product.js';
+import {
+  GUEST_CART_COOKIE,
+  getGuestCartCookieOptions,
+  findOrCreateCart,
+  buildCartResponse
+} from '../utils/cart.js';
+
+const router = express.Router();
+
+// Logged-in users get their stored cart; guests are tracked by a cart cookie
+const getCartOwner = (req, res) => {
+  if (req.user) {
+    return { user: req.user._id };
+  }
+
+  let guestId = req.cookies[GUEST_CART_COOKIE];
+  if (!guestId) {
+    guestId = uuidv4();
+  }
+  // Refresh the cookie on every request so active guest carts don't expire
+  res.cookie(GUEST_CART_COOKIE, guestId, getGuestCartCookieOptions());
+  return { guestId };
+};
+
+// Stock on hand for a product, or for one of its variants
+const availableStock = (product, variantId) => {
+  const variant = variantId && product.variants.id(variantId);
+  return variant ? variant.stock : product.stock;
+};
+
+const stockLimitMessage = (stock) =>
+  stock > 0 ? `Only ${stock} left in stock` : 'This item is out of stock';
+
+const itemValidators = [
+  check('product', 'Please include a valid product ID').isMongoId(),
+  check('variant', 'Variant must be a valid ID').optional({ nullable: true }).isMongoId(),
+  check('qty', 'Quantity must be a whole number').isInt({ min: 0 }).toInt()
+];
+
+// @route   GET /api/cart
+// @desc    Get the current cart with live prices and stock
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await Cart.findOne(getCartOwner(req, res));
+    res.json(await buildCartResponse(cart));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/cart
+// @desc    Add a product to the cart, up to the stock on hand
+// @access  Public
+router.post('/', [optionalAuth, itemValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { product: productId, variant: variantId, qty } = req.body;
+  if (qty < 1) {
+    return res.status(400).json({ msg: 'Quantity must be at least 1' });
+  }
+
+  try {
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+
+    if (variantId && !product.variants.id(variantId)) {
+      return res.status(404).json({ msg: 'Variant not found' });
+    }
+    if (!variantId && product.variants.length > 0) {
+      return res.status(400).json({ msg: 'Please choose a variant' });
+    }
+
+    const cart = await findOrCreateCart(getCartOwner(req, res));
+    const existing = cart.findItem(product._id, variantId);
+    const stock = availableStock(product, variantId);
+    if ((existing ? existing.qty : 0) + qty > stock) {
+      return res.status(400).json({ msg: stockLimitMessage(stock), stock });
+    }
+
+    cart.addItem(product._id, qty, variantId);
+    await cart.save();
+
+    res.status(201).json(await buildCartResponse(cart));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PATCH /api/cart
+// @desc    Set the quantity of a cart item (0 removes it), up to the stock on hand
+// @access  Public
+router.patch('/', [optionalAuth, itemValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { product: productId, variant: variantId, qty } = req.body;
+
+  try {
+    const cart = await Cart.findOne(getCartOwner(req, res));
+    const item = cart && cart.findItem(productId, variantId);
+    if (!item) {
+      return res.status(404).json({ msg: 'Item not in cart' });
+    }
+
+    if (qty === 0) {
+      cart.items.pull(item._id);
+    } else {
+      const product = await Product.findById(item.product);
+      if (!product) {
+        return res.status(404).json({ msg: 'Product not found' });
+      }
+      const stock = availableStock(product, item.variant);
+      if (qty > stock) {
+        return res.status(400).json({ msg: stockLimitMessage(stock), stock });
+      }
+      item.qty = qty;
+    }
+    await cart.save();
+
+    res.json(await buildCartResponse(cart));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/cart/:productId
+// @desc    Remove a product from the cart (pass ?variant=<id> for a variant)
+// @access  Public
+router.delete('/:productId', optionalAuth, async (req, res) => {
+  try {
+    const cart = await Cart.findOne(getCartOwner(req, res));
+    const item = cart && cart.findItem(req.params.productId, req.query.variant);
+    if (!item) {
+      return res.status(404).json({ msg: 'Item not in cart' });
+    }
+
+    cart.items.pull(item._id);
+    await cart.save();
+
+    res.json(await buildCartResponse(cart));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/cart
+// @desc    Empty the cart
+// @access  Public
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await Cart.findOne(getCartOwner(req, res));
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    res.json(await buildCartResponse(cart));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+export default router;
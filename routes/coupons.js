@@ -0,0 +1,173 @@
+import express from 'express';
+import { check, validationResult } from 'express-validator';
+import { protectOrApiKey, requirePermission } from '../middleware/authMiddleware.js';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { paginate } from '../middleware/paginationMiddleware.js';
+import { findPage, pageMeta } from '../utils/pagination.js';
+
+const router = express.Router();
+
+// Fields admins may set on a coupon; usedCount is maintained by checkout
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'value',
+  'maxDiscount',
+  'minOrderValue',
+  'categories',
+  'products',
+  'startsAt',
+  'expiresAt',
+  'usageLimit',
+  'perUserLimit',
+  'isActive'
+];
+
+const pickCouponFields = (body) =>
+  Object.fromEntries(COUPON_FIELDS.filter((field) => field in body).map((field) => [field, body[field]]));
+
+const couponValidators = (optional = false) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+  return [
+    field('code', 'Code is required').isString().trim().notEmpty(),
+    field('discountType', 'Discount type must be percentage or fixed').isIn(['percentage', 'fixed']),
+    field('value', 'Please include a valid discount value').isFloat({ min: 0 }),
+    check('maxDiscount', 'Max discount must be a positive number').optional({ nullable: true }).isFloat({ min: 0 }),
+    check('minOrderValue', 'Minimum order value must be a positive number').optional().isFloat({ min: 0 }),
+    check('categories', 'Categories must be an array').optional().isArray(),
+    check('products', 'Products must be an array').optional().isArray(),
+    check('products.*', 'Each product must be a valid ID').optional().isMongoId(),
+    check('startsAt', 'Start date must be a valid date').optional({ nullable: true }).isISO8601(),
+    check('expiresAt', 'Expiry date must be a valid date').optional({ nullable: true }).isISO8601(),
+    check('usageLimit', 'Usage limit must be at least 1').optional({ nullable: true }).isInt({ min: 1 }),
+    check('perUserLimit', 'Per-user limit must be at least 1').optional({ nullable: true }).isInt({ min: 1 }),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean()
+  ];
+};
+
+// @route   GET /api/coupons
+// @desc    Get all coupons
+// @access  Private (coupons:manage)
+router.get('/', protectOrApiKey, requirePermission('coupons:manage'), paginate(), async (req, res) => {
+  try {
+    const { items: coupons, total, nextCursor } = await findPage(Coupon, {}, {
+      sort: { createdAt: -1 },
+      pagination: req.pagination
+    });
+
+    res.json({
+      coupons,
+      ...pageMeta(req, res, { total, nextCursor }),
+      totalCoupons: total
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/coupons/:id
+// @desc    Get coupon by ID
+// @access  Private (coupons:manage)
+router.get('/:id', protectOrApiKey, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ msg: 'Coupon not found' });
+    }
+    res.json(coupon);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Coupon not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Create a coupon
+// @access  Private (coupons:manage)
+router.post('/', [protectOrApiKey, requirePermission('coupons:manage'), couponValidators()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const coupon = await Coupon.create(pickCouponFields(req.body));
+    res.status(201).json(coupon);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'Coupon code already exists' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon
+// @access  Private (coupons:manage)
+router.put('/:id', [protectOrApiKey, requirePermission('coupons:manage'), couponValidators(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ msg: 'Coupon not found' });
+    }
+
+    coupon.set(pickCouponFields(req.body));
+    const updatedCoupon = await coupon.save();
+
+    res.json(updatedCoupon);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'Coupon code already exists' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Coupon not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete a coupon
+// @access  Private (coupons:manage)
+router.delete('/:id', protectOrApiKey, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ msg: 'Coupon not found' });
+    }
+
+    await coupon.deleteOne();
+    await CouponRedemption.deleteMany({ coupon: coupon._id });
+    res.json({ msg: 'Coupon removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Coupon not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+export default router;
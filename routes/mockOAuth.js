@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import express from 'express';
+
+// Local stand-in for an OAuth2 / OIDC identity provider, used with the 'mock'
+// provider in development and tests when ENABLE_MOCK_OAUTH=true. It signs in
+// whoever the query names:
+//   GET /authorize?...&login_hint=fan@example.com&name=Fan&email_verified=false
+const router = express.Router();
+
+const CODE_TTL_MS = 60 * 1000;
+const ACCESS_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// Both hold { expiresAt, ... } and are pruned as new entries are added
+const codes = new Map();
+const accessTokens = new Map();
+
+const pruneExpired = (entries) => {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+    }
+  }
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Stable subject per email, like a real provider's account ID
+const subjectFor = (email) => sha256(`mock-oauth:${email}`).toString('hex').slice(0, 24);
+
+// @route   GET /api/mock-oauth/authorize
+// @desc    Approve the sign-in immediately and redirect back with a code
+// @access  Public (development only)
+router.get('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, code_challenge: codeChallenge, code_challenge_method: method } = req.query;
+  const email = String(req.query.login_hint || 'mock.user@example.com').toLowerCase();
+
+  if (!redirectUri || !codeChallenge || method !== 'S256') {
+    return res.status(400).json({ error: 'invalid_request' });
+  }
+
+  pruneExpired(codes);
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    redirectUri,
+    codeChallenge,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    profile: {
+      sub: subjectFor(email),
+      email,
+      email_verified: req.query.email_verified !== 'false',
+      name: req.query.name || 'Mock User',
+    },
+  });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+// @route   POST /api/mock-oauth/token
+// @desc    Exchange a code and PKCE verifier for an access token
+// @access  Public (development only)
+router.post('/token', (req, res) => {
+  const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  const challenge = codeVerifier && sha256(codeVerifier).toString('base64url');
+  if (
+    !grant ||
+    grant.expiresAt <= Date.now() ||
+    grant.redirectUri !== redirectUri ||
+    challenge !== grant.codeChallenge
+  ) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  pruneExpired(accessTokens);
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, { profile: grant.profile, expiresAt: Date.now() + ACCESS_TOKEN_TTL_MS });
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: ACCESS_TOKEN_TTL_MS / 1000 });
+});
+
+// @route   GET /api/mock-oauth/userinfo
+// @desc    Profile for an access token
+// @access  Public (development only)
+router.get('/userinfo', (req, res) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer /i, '');
+  const entry = accessTokens.get(token);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(entry.profile);
+});
+
+export default router;
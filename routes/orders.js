@@ -1,31 +1,224 @@
 import express from 'express';
-import { protect, admin } from '../middleware/authMiddleware.js';
-import Order from '../models/Order.js';
+import { check, validationResult } from 'express-validator';
+import { protect, protectOrApiKey, requirePermission, requireVerifiedEmail, hasStaffAccess } from '../middleware/authMiddleware.js';
+import { paginate } from '../middleware/paginationMiddleware.js';
+import { findPage, pageMeta } from '../utils/pagination.js';
+import Order, { ORDER_STATUSES, RESERVING_ORDER_STATUSES } from '../models/Order.js';
+import User from '../models/User.js';
+import { removeOrderedItems } from '../utils/cart.js';
+import { priceOrder } from '../utils/orderPricing.js';
+import { reserveStock, releaseStock } from '../utils/inventory.js';
+import { claimCoupon, releaseCoupon } from '../utils/coupons.js';
+import { getPaymentProvider, markOrderPaid } from '../utils/paymentProviders.js';
+
+// Fields order lists may be sorted by, e.g. ?sort=totalPrice&order=asc
+const ORDER_SORT_FIELDS = ['createdAt', 'totalPrice', 'paidAt', 'deliveredAt'];
+
+const getOrderSort = ({ sort, order }) => {
+  const field = ORDER_SORT_FIELDS.includes(sort) ? sort : 'createdAt';
+  return { [field]: order === 'asc' ? 1 : -1 };
+};
+
+/**
+ * Apply a status transition and its side effects. The update only matches
+ * while the order is still in the status it was read in, so when two changes
+ * race only one of them goes through and runs the side effects.
+ */
+const changeOrderStatus = async (order, status, options) => {
+  const from = order.status;
+  order.transitionTo(status, options);
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    order.getChanges(),
+    { new: true }
+  );
+  if (!updatedOrder) {
+    const error = new Error('Order status has changed in the meantime; reload it and try again');
+    error.status = 409;
+    throw error;
+  }
+  
+  if (status === 'cancelled') {
+    await releaseStock(updatedOrder.orderItems);
+    if (updatedOrder.discount?.coupon) {
+      await releaseCoupon(updatedOrder.discount.coupon, updatedOrder.user);
+    }
+  }
+  
+  return updatedOrder;
+};
+
+/**
+ * Work out where an order ships to: a saved address by ID, an inline address,
+ * or failing both the user's default shipping address.
+ */
+const resolveShippingAddress = async (userId, { shippingAddressId, shippingAddress }) => {
+  let address = shippingAddress;
+
+  if (shippingAddressId || !shippingAddress) {
+    const user = await User.findById(userId).select('addresses defaultShippingAddress');
+    const addressId = shippingAddressId || user?.defaultShippingAddress;
+    address = addressId && user?.addresses.id(addressId);
+
+    if (!address) {
+      const error = new Error(shippingAddressId ? 'Saved address not found' : 'A shipping address is required');
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  return {
+    address: address.address,
+    city: address.city,
+    postalCode: address.postalCode,
+    country: address.country
+  };
+};
 
 // @route   GET /api/orders
 // @desc    Get all orders
-// @access  Private/Admin
+// @access  Private (orders:read)
 const router = express.Router();
-router.get('/', protect, admin, async (req, res) => {
+router.get('/', protectOrApiKey, requirePermission('orders:read'), paginate(), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
-    
-    const orders = await Order.find({})
-      .populate('user', 'id name email')
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
-      
-    const total = await Order.countDocuments();
+    const { items: orders, total, nextCursor } = await findPage(Order, {}, {
+      sort: getOrderSort(req.query),
+      pagination: req.pagination,
+      populate: ['user', 'id name email']
+    });
+    
+    res.json({
+      orders,
+      ...pageMeta(req, res, { total, nextCursor }),
+      totalOrders: total
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/orders
+// @desc    Place an order for the current user
+// @access  Private
+router.post(
+  '/',
+  [
+    protect,
+    requireVerifiedEmail,
+    [
+      check('orderItems', 'Order must contain at least one item').isArray({ min: 1 }),
+      check('orderItems.*.product', 'Each item needs a valid product ID').isMongoId(),
+      check('orderItems.*.variant', 'Variant must be a valid ID').optional().isMongoId(),
+      check('orderItems.*.qty', 'Each item needs a quantity of at least 1').isInt({ min: 1 }),
+      // Either a saved address ID or an inline address; neither uses the default address
+      check('shippingAddressId', 'Shipping address ID must be valid').optional().isMongoId(),
+      check('shippingAddress.address', 'Address is required')
+        .if(check('shippingAddress').exists())
+        .if(check('shippingAddressId').not().exists())
+        .trim().notEmpty(),
+      check('shippingAddress.city', 'City is required')
+        .if(check('shippingAddress').exists())
+        .if(check('shippingAddressId').not().exists())
+        .trim().notEmpty(),
+      check('shippingAddress.postalCode', 'Postal code is required')
+        .if(check('shippingAddress').exists())
+        .if(check('shippingAddressId').not().exists())
+        .trim().notEmpty(),
+      check('shippingAddress.country', 'Country is required')
+        .if(check('shippingAddress').exists())
+        .if(check('shippingAddressId').not().exists())
+        .trim().notEmpty(),
+      check('paymentMethod', 'Payment method is required').trim().notEmpty(),
+      check('couponCode').optional().isString().trim()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { orderItems, shippingAddressId, shippingAddress, paymentMethod, couponCode } = req.body;
+
+    try {
+      const orderShippingAddress = await resolveShippingAddress(req.user._id, { shippingAddressId, shippingAddress });
+
+      // Prices and totals are always computed server-side from the catalogue
+      const pricing = await priceOrder(orderItems, { couponCode, userId: req.user._id });
+
+      const order = new Order({
+        user: req.user._id,
+        shippingAddress: orderShippingAddress,
+        paymentMethod,
+        ...pricing
+      });
+
+      // Take stock before saving so two orders can't both claim the last unit
+      await reserveStock(pricing.orderItems);
+
+      if (pricing.discount) {
+        try {
+          await claimCoupon(pricing.discount.coupon, req.user._id);
+        } catch (couponError) {
+          await releaseStock(pricing.orderItems);
+          throw couponError;
+        }
+      }
+
+      let createdOrder;
+      try {
+        createdOrder = await order.save();
+      } catch (saveError) {
+        // Undo the reservations if the order can't be stored
+        await releaseStock(pricing.orderItems);
+        if (pricing.discount) {
+          await releaseCoupon(pricing.discount.coupon, req.user._id);
+        }
+        throw saveError;
+      }
+
+      // The order now holds these items; failing to update the cart must not fail the order
+      try {
+        await removeOrderedItems(req.user._id, createdOrder.orderItems);
+      } catch (cartError) {
+        console.error('Cart update error:', cartError);
+      }
+
+      res.status(201).json(createdOrder);
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message, errors: err.errors });
+      }
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// @route   GET /api/orders/mine
+// @desc    Get the current user's orders
+// @access  Private
+router.get('/mine', protect, paginate(), async (req, res) => {
+  try {
+    const { items: orders, total, nextCursor } = await findPage(Order, { user: req.user._id }, {
+      sort: getOrderSort(req.query),
+      pagination: req.pagination
+    });
     
     res.json({
       orders,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
+      ...pageMeta(req, res, { total, nextCursor }),
       totalOrders: total
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     console.error(err.message);
     res.status(500).send('Server Error');
   }
@@ -33,8 +226,8 @@ router.get('/', protect, admin, async (req, res) => {
 
 // @route   GET /api/orders/:id
 // @desc    Get order by ID
-// @access  Private/Admin
-router.get('/:id', protect, admin, async (req, res) => {
+// @access  Private (owner or orders:read)
+router.get('/:id', protect, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id).populate(
       'user',
@@ -45,6 +238,11 @@ router.get('/:id', protect, admin, async (req, res) => {
       return res.status(404).json({ msg: 'Order not found' });
     }
     
+    // user is populated here (and null if the account was removed)
+    if (order.user?._id.toString() !== req.user._id.toString() && !hasStaffAccess(req, 'orders:read')) {
+      return res.status(403).json({ msg: 'Not authorized to view this order' });
+    }
+    
     res.json(order);
   } catch (err) {
     console.error(err.message);
@@ -55,10 +253,128 @@ router.get('/:id', protect, admin, async (req, res) => {
   }
 });
 
+// @route   POST /api/orders/:id/pay
+// @desc    Start payment for an order with the configured provider
+// @access  Private (owner)
+router.post('/:id/pay', protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ msg: 'Order not found' });
+    }
+    
+    if (order.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ msg: 'Not authorized to pay for this order' });
+    }
+    
+    if (order.status !== 'pending') {
+      return res.status(400).json({ msg: `Order is ${order.status} and cannot be paid` });
+    }
+    
+    const provider = getPaymentProvider();
+    if (!provider) {
+      return res.status(503).json({ msg: 'Payment provider is not available' });
+    }
+    
+    const payment = await provider.createPayment(order, { email: req.user.email });
+    
+    if (payment.status === 'succeeded') {
+      const paidOrder = await markOrderPaid(order._id, {
+        provider: provider.name,
+        paymentId: payment.paymentId,
+        result: payment.result
+      });
+      return res.json({ order: paidOrder || await Order.findById(order._id), payment });
+    }
+    
+    // Payment completes later through the provider's webhook
+    order.paymentProvider = provider.name;
+    order.paymentId = payment.paymentId;
+    const updatedOrder = await order.save();
+    
+    res.status(202).json({ order: updatedOrder, payment });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Order not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/orders/:id/status
+// @desc    Move an order to a new status
+// @access  Private (orders:update-status)
+router.put(
+  '/:id/status',
+  [
+    protectOrApiKey,
+    requirePermission('orders:update-status'),
+    [
+      check('status', 'Please include a valid status').isIn(ORDER_STATUSES),
+      check('note').optional().isString().trim()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const order = await Order.findById(req.params.id);
+      
+      if (!order) {
+        return res.status(404).json({ msg: 'Order not found' });
+      }
+      
+      const updatedOrder = await changeOrderStatus(order, req.body.status, {
+        by: req.user._id,
+        note: req.body.note
+      });
+      
+      res.json(updatedOrder);
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ msg: 'Order not found' });
+      }
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
 // @route   PUT /api/orders/:id/deliver
 // @desc    Update order to delivered
-// @access  Private/Admin
-router.put('/:id/deliver', protect, admin, async (req, res) => {
+// @access  Private (orders:deliver)
+router.put('/:id/deliver', protectOrApiKey, requirePermission('orders:deliver'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ msg: 'Order not found' });
+    }
+    
+    const updatedOrder = await changeOrderStatus(order, 'delivered', { by: req.user._id });
+    
+    res.json(updatedOrder);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/orders/:id/cancel
+// @desc    Cancel an order and return its stock
+// @access  Private (owner while pending, or orders:update-status)
+router.put('/:id/cancel', protect, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     
@@ -66,34 +382,50 @@ router.put('/:id/deliver', protect, admin, async (req, res) => {
       return res.status(404).json({ msg: 'Order not found' });
     }
     
-    if (!order.isPaid) {
-      return res.status(400).json({ msg: 'Order has not been paid yet' });
+    const isStaff = hasStaffAccess(req, 'orders:update-status');
+    if (order.user.toString() !== req.user._id.toString() && !isStaff) {
+      return res.status(403).json({ msg: 'Not authorized to cancel this order' });
     }
     
-    order.isDelivered = true;
-    order.deliveredAt = Date.now();
+    // Paid orders need a refund, so only staff can cancel them
+    if (!isStaff && order.status !== 'pending') {
+      return res.status(400).json({ msg: 'Only unpaid orders can be cancelled. Please contact support for a refund.' });
+    }
     
-    const updatedOrder = await order.save();
+    const updatedOrder = await changeOrderStatus(order, 'cancelled', { by: req.user._id });
     
     res.json(updatedOrder);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Order not found' });
+    }
     res.status(500).send('Server Error');
   }
 });
 
 // @route   DELETE /api/orders/:id
 // @desc    Delete order
-// @access  Private/Admin
-router.delete('/:id', protect, admin, async (req, res) => {
+// @access  Private (orders:delete)
+router.delete('/:id', protectOrApiKey, requirePermission('orders:delete'), async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
+    // Delete and read in one step, so concurrent deletes can't both restock
+    const order = await Order.findOneAndDelete({ _id: req.params.id });
     
     if (!order) {
       return res.status(404).json({ msg: 'Order not found' });
     }
     
-    await order.remove();
+    // Shipped orders have used their stock and cancelled ones already returned it
+    if (RESERVING_ORDER_STATUSES.includes(order.status)) {
+      await releaseStock(order.orderItems);
+      if (order.discount?.coupon) {
+        await releaseCoupon(order.discount.coupon, order.user);
+      }
+    }
     
     res.json({ msg: 'Order removed' });
   } catch (err) {
@@ -0,0 +1,86 @@
+import express from 'express';
+import Order from '../models/Order.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { getPaymentProvider, markOrderPaid } from '../utils/paymentProviders.js';
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhooks/:provider
+// @desc    Receive signed payment notifications from a provider
+// @access  Public (signature verified)
+router.post('/webhooks/:provider', async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ msg: 'Unknown payment provider' });
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(req);
+  } catch (err) {
+    console.error('Payment webhook rejected:', err.message);
+    return res.status(400).json({ msg: err.message });
+  }
+
+  if (!event.eventId || !event.orderId) {
+    return res.status(400).json({ msg: 'Malformed webhook event' });
+  }
+
+  try {
+    const order = await Order.findById(event.orderId);
+    if (!order) {
+      return res.status(404).json({ msg: 'Order not found' });
+    }
+
+    // Only the payment started for this order may settle it
+    if (!event.paymentId || event.paymentId !== order.paymentId || order.paymentProvider !== provider.name) {
+      console.error(`Payment ${event.paymentId} does not belong to order ${order._id}`);
+      return res.status(400).json({ msg: 'Payment does not match this order' });
+    }
+
+    if (event.type === 'payment.succeeded' && Number(event.amount) !== order.totalPrice) {
+      console.error(`Payment amount mismatch for order ${order._id}:`, event.amount);
+      return res.status(400).json({ msg: 'Payment amount does not match order total' });
+    }
+
+    // Claim the event only once it has checked out; a duplicate key means it was already handled
+    try {
+      await PaymentEvent.create({
+        provider: provider.name,
+        eventId: event.eventId,
+        type: event.type,
+        order: order._id,
+        payload: req.body
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.json({ received: true, duplicate: true });
+      }
+      throw err;
+    }
+
+    if (event.type === 'payment.succeeded') {
+      try {
+        await markOrderPaid(order._id, {
+          provider: provider.name,
+          paymentId: event.paymentId,
+          result: event.result
+        });
+      } catch (err) {
+        // Release the event so the provider's retry can apply it
+        await PaymentEvent.deleteOne({ provider: provider.name, eventId: event.eventId });
+        throw err;
+      }
+    }
+
+    res.json({ received: true });
+  } catch (err) {
+    console.error('Payment webhook error:', err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Order not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+export default router;
@@ -1,41 +1,166 @@
 import express from 'express';
-import { check, validationResult } from 'express-validator';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { check, checkExact, matchedData, validationResult } from 'express-validator';
+import { protectOrApiKey, requirePermission } from '../middleware/authMiddleware.js';
 import Product from '../models/Product.js';
+import SearchSuggestion from '../models/SearchSuggestion.js';
+import { notifyBackInStock } from '../utils/wishlist.js';
+import { PRODUCT_SORTS, searchProducts } from '../utils/productSearch.js';
+import { paginate } from '../middleware/paginationMiddleware.js';
+import { pageMeta } from '../utils/pagination.js';
+
+// Validation for a variant payload; prefix targets variants nested in a product body
+const variantValidators = (prefix = '', { partial = false } = {}) => {
+  const required = (field, message) =>
+    partial ? check(`${prefix}${field}`, message).optional() : check(`${prefix}${field}`, message);
+  return [
+    required('sku', 'Variant SKU is required').isString().trim().notEmpty(),
+    check(`${prefix}attributes`, 'Variant attributes must be an object').optional().isObject(),
+    check(`${prefix}price`, 'Variant price must be a valid price').optional({ nullable: true }).isFloat({ min: 0 }),
+    required('stock', 'Variant stock must be a valid quantity').isInt({ min: 0 }),
+    check(`${prefix}images`, 'Variant images must be an array').optional().isArray(),
+    check(`${prefix}images.*`, 'Variant images must be strings').optional().isString()
+  ];
+};
+
+// The only fields a product payload may contain; anything else is rejected
+const productValidators = [
+  check('name', 'Name is required').isString().trim().notEmpty(),
+  check('description', 'Description is required').isString().notEmpty(),
+  check('price', 'Please include a valid price').isFloat({ min: 0 }).toFloat(),
+  check('stock', 'Please include a valid stock quantity').isInt({ min: 0 }).toInt(),
+  check('category', 'Category is required').isString().trim().notEmpty(),
+  check('images', 'At least one image is required').isArray({ min: 1 }),
+  check('images.*', 'Images must be strings').isString(),
+  check('isFeatured', 'isFeatured must be a boolean').optional().isBoolean().toBoolean(),
+  check('isBestSeller', 'isBestSeller must be a boolean').optional().isBoolean().toBoolean(),
+  check('isNewArrival', 'isNewArrival must be a boolean').optional().isBoolean().toBoolean(),
+  check('variants', 'Variants must be an array').optional().isArray(),
+  check('variants.*._id', 'Variant ID must be valid').optional().isMongoId(),
+  ...variantValidators('variants.*.')
+];
+
+const exactProductPayload = checkExact(productValidators, { message: 'Unknown fields are not allowed' });
+
+// Report model validation and duplicate-key failures in the same shape as request validation
+const saveErrors = (err) => {
+  if (err.code === 11000) {
+    return [{ type: 'field', path: 'variants', msg: 'Variant SKU must be unique', location: 'body' }];
+  }
+  return Object.values(err.errors).map((error) => ({
+    type: 'field',
+    path: error.path,
+    msg: error.message,
+    location: 'body'
+  }));
+};
+
+// Only the validated product fields, never raw req.body
+const productPayload = (req) => matchedData(req, { locations: ['body'] });
 
 // @route   GET /api/products
-// @desc    Get all products with optional filters
+// @desc    Search products with filters, sorting and facet counts
 // @access  Public
 const router = express.Router();
-router.get('/', async (req, res) => {
-  try {
-    const { category, featured, bestseller, search, limit = 10, page = 1 } = req.query;
-    const query = {};
-    
-    if (category) query.category = category;
-    if (featured === 'true') query.isFeatured = true;
-    if (bestseller === 'true') query.isBestSeller = true;
-    if (search) query.$text = { $search: search };
-
-    const skip = (page - 1) * limit;
-    const products = await Product.find(query)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
-
-    const total = await Product.countDocuments(query);
-
-    res.json({
-      products,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      totalProducts: total
-    });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+router.get(
+  '/',
+  [
+    check('minPrice', 'Minimum price must be a positive number').optional().isFloat({ min: 0 }).toFloat(),
+    check('maxPrice', 'Maximum price must be a positive number').optional().isFloat({ min: 0 }).toFloat(),
+    check('minRating', 'Minimum rating must be between 0 and 5').optional().isFloat({ min: 0, max: 5 }).toFloat(),
+    check('sort', `Sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}`).optional().isIn(Object.keys(PRODUCT_SORTS)),
+    check('order', 'Order must be asc or desc').optional().isIn(['asc', 'desc']),
+    check('search').optional().isString().trim(),
+    check('category').optional().isString()
+  ],
+  paginate({ maxLimit: 60 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { products, total, facets, nextCursor } = await searchProducts(
+        {
+          category: req.query.category,
+          search: req.query.search,
+          featured: req.query.featured === 'true',
+          bestseller: req.query.bestseller === 'true',
+          inStock: req.query.inStock === 'true',
+          newArrivals: req.query.newArrivals === 'true',
+          minPrice: req.query.minPrice,
+          maxPrice: req.query.maxPrice,
+          minRating: req.query.minRating,
+          sort: req.query.sort,
+          order: req.query.order
+        },
+        req.pagination
+      );
+
+      res.json({
+        products,
+        facets,
+        ...pageMeta(req, res, { total, nextCursor }),
+        totalProducts: total
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
   }
-});
+);
+
+// @route   GET /api/products/suggest?q=
+// @desc    Autocomplete product names and categories, tolerating typos
+// @access  Public
+router.get(
+  '/suggest',
+  [
+    check('q', 'Query must be between 1 and 100 characters').isString().trim().isLength({ min: 1, max: 100 }),
+    check('limit', 'Limit must be between 1 and 20').optional().isInt({ min: 1, max: 20 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const suggestions = await SearchSuggestion.suggest(req.query.q, { limit: req.query.limit || 8 });
+
+      // Live price and stock for the suggested products; the index only holds names
+      const products = await Product.find({ _id: { $in: suggestions.products.map((entry) => entry.product) } })
+        .select('name category price images stock');
+      const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+      res.set('Cache-Control', 'public, max-age=60');
+      res.json({
+        query: req.query.q,
+        products: suggestions.products
+          .map((entry) => productsById.get(entry.product.toString()))
+          .filter(Boolean)
+          .map((product) => ({
+            _id: product._id,
+            name: product.name,
+            category: product.category,
+            price: product.price,
+            image: product.images[0],
+            inStock: product.stock > 0
+          })),
+        categories: suggestions.categories.map((entry) => ({
+          name: entry.value,
+          productCount: entry.weight
+        }))
+      });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
 
 // @route   GET /api/products/:id
 // @desc    Get single product by ID
@@ -58,20 +183,10 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/products
 // @desc    Create a product
-// @access  Private/Admin
+// @access  Private (products:create)
 router.post(
   '/',
-  [
-    protect,
-    [
-      check('name', 'Name is required').not().isEmpty(),
-      check('description', 'Description is required').not().isEmpty(),
-      check('price', 'Please include a valid price').isFloat({ min: 0 }),
-      check('stock', 'Please include a valid stock quantity').isInt({ min: 0 }),
-      check('category', 'Category is required').not().isEmpty(),
-      check('images', 'At least one image is required').isArray({ min: 1 })
-    ]
-  ],
+  [protectOrApiKey, requirePermission('products:create'), exactProductPayload],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -79,15 +194,15 @@ router.post(
     }
 
     try {
-      const newProduct = new Product({
-        ...req.body,
-        user: req.user.id
-      });
+      const newProduct = new Product(productPayload(req));
 
       const product = await newProduct.save();
       res.json(product);
     } catch (err) {
       console.error(err.message);
+      if (err.name === 'ValidationError' || err.code === 11000) {
+        return res.status(400).json({ errors: saveErrors(err) });
+      }
       res.status(500).send('Server Error');
     }
   }
@@ -95,20 +210,10 @@ router.post(
 
 // @route   PUT /api/products/:id
 // @desc    Update a product
-// @access  Private/Admin
+// @access  Private (products:update)
 router.put(
   '/:id',
-  [
-    protect,
-    [
-      check('name', 'Name is required').not().isEmpty(),
-      check('description', 'Description is required').not().isEmpty(),
-      check('price', 'Please include a valid price').isFloat({ min: 0 }),
-      check('stock', 'Please include a valid stock quantity').isInt({ min: 0 }),
-      check('category', 'Category is required').not().isEmpty(),
-      check('images', 'At least one image is required').isArray({ min: 1 })
-    ]
-  ],
+  [protectOrApiKey, requirePermission('products:update'), exactProductPayload],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -121,41 +226,168 @@ router.put(
         return res.status(404).json({ msg: 'Product not found' });
       }
 
-      // Check user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(401).json({ msg: 'Not authorized' });
-      }
+      const previousStock = product.stock;
 
-      product = await Product.findByIdAndUpdate(
-        req.params.id,
-        { $set: req.body },
-        { new: true }
-      );
+      // Save through the document so variant stock totals are recalculated
+      product.set(productPayload(req));
+      product = await product.save();
+
+      // Restocked from zero: let everyone who wishlisted it know, without holding up the response
+      if (previousStock === 0 && product.stock > 0) {
+        notifyBackInStock(product).catch((notifyError) => {
+          console.error('Back-in-stock notification error:', notifyError.message);
+        });
+      }
 
       res.json(product);
     } catch (err) {
       console.error(err.message);
+      if (err.name === 'ValidationError' || err.code === 11000) {
+        return res.status(400).json({ errors: saveErrors(err) });
+      }
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ msg: 'Product not found' });
+      }
       res.status(500).send('Server Error');
     }
   }
 );
 
-// @route   DELETE /api/products/:id
-// @desc    Delete a product
-// @access  Private/Admin
-router.delete('/:id', protect, admin, async (req, res) => {
+// @route   GET /api/products/:id/variants
+// @desc    Get the variants of a product
+// @access  Public
+router.get('/:id/variants', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('variants price');
+    if (!product) {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+    res.json(product.variants.map((variant) => ({
+      ...variant.toObject(),
+      price: product.priceFor(variant)
+    })));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/products/:id/variants
+// @desc    Add a variant to a product
+// @access  Private (products:update)
+router.post('/:id/variants', [protectOrApiKey, requirePermission('products:update'), checkExact(variantValidators())], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ msg: 'Product not found' });
     }
 
-    // Check user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
+    const { sku, attributes, price, stock, images } = req.body;
+    product.variants.push({ sku, attributes, price, stock, images });
+    await product.save();
+
+    res.status(201).json(product.variants[product.variants.length - 1]);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'Variant SKU must be unique' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a product variant
+// @access  Private (products:update)
+router.put(
+  '/:id/variants/:variantId',
+  [protectOrApiKey, requirePermission('products:update'), checkExact(variantValidators('', { partial: true }))],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findById(req.params.id);
+      const variant = product && product.variants.id(req.params.variantId);
+      if (!variant) {
+        return res.status(404).json({ msg: 'Variant not found' });
+      }
+
+      for (const field of ['sku', 'attributes', 'price', 'stock', 'images']) {
+        if (typeof req.body[field] !== 'undefined') {
+          variant.set(field, req.body[field]);
+        }
+      }
+      await product.save();
+
+      res.json(variant);
+    } catch (err) {
+      console.error(err.message);
+      if (err.code === 11000) {
+        return res.status(400).json({ msg: 'Variant SKU must be unique' });
+      }
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({ msg: err.message });
+      }
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ msg: 'Variant not found' });
+      }
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Remove a product variant
+// @access  Private (products:update)
+router.delete('/:id/variants/:variantId', protectOrApiKey, requirePermission('products:update'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ msg: 'Variant not found' });
+    }
+
+    product.variants.pull(variant._id);
+    await product.save();
+
+    res.json({ msg: 'Variant removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Variant not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/products/:id
+// @desc    Delete a product
+// @access  Private (products:delete)
+router.delete('/:id', protectOrApiKey, requirePermission('products:delete'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ msg: 'Product not found' });
     }
 
-    await product.remove();
+    await product.deleteOne();
     res.json({ msg: 'Product removed' });
   } catch (err) {
     console.error(err.message);
@@ -0,0 +1,153 @@
+import express from 'express';
+import { check, validationResult } from 'express-validator';
+import { protect, hasStaffAccess } from '../middleware/authMiddleware.js';
+import { paginate } from '../middleware/paginationMiddleware.js';
+import { findPage, pageMeta } from '../utils/pagination.js';
+import Review from '../models/Review.js';
+import Product from '../models/Product.js';
+import Order, { PAID_ORDER_STATUSES } from '../models/Order.js';
+
+const router = express.Router();
+
+const reviewValidators = [
+  check('rating', 'Rating must be between 1 and 5').isInt({ min: 1, max: 5 }).toInt(),
+  check('title').optional().isString().trim().isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  check('comment').optional().isString().trim().isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters')
+];
+
+// @route   GET /api/reviews/product/:productId
+// @desc    Get reviews for a product
+// @access  Public
+router.get('/product/:productId', paginate(), async (req, res) => {
+  try {
+    const { items: reviews, total, nextCursor } = await findPage(Review, { product: req.params.productId }, {
+      sort: { createdAt: -1 },
+      pagination: req.pagination,
+      populate: ['user', 'name avatar']
+    });
+
+    res.json({
+      reviews,
+      ...pageMeta(req, res, { total, nextCursor }),
+      totalReviews: total
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/reviews/product/:productId
+// @desc    Review a product
+// @access  Private
+router.post('/product/:productId', [protect, reviewValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+
+    const alreadyReviewed = await Review.exists({ product: product._id, user: req.user._id });
+    if (alreadyReviewed) {
+      return res.status(400).json({ msg: 'You have already reviewed this product' });
+    }
+
+    const verifiedPurchase = Boolean(await Order.exists({
+      user: req.user._id,
+      status: { $in: PAID_ORDER_STATUSES },
+      'orderItems.product': product._id
+    }));
+
+    const review = await Review.create({
+      product: product._id,
+      user: req.user._id,
+      rating: req.body.rating,
+      title: req.body.title,
+      comment: req.body.comment,
+      verifiedPurchase
+    });
+
+    res.status(201).json(review);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'You have already reviewed this product' });
+    }
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit your review
+// @access  Private
+router.put('/:id', [protect, reviewValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ msg: 'Not authorized to edit this review' });
+    }
+
+    review.rating = req.body.rating;
+    if (typeof req.body.title !== 'undefined') review.title = req.body.title;
+    if (typeof req.body.comment !== 'undefined') review.comment = req.body.comment;
+
+    const updatedReview = await review.save();
+    res.json(updatedReview);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete a review
+// @access  Private (author or reviews:moderate)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString() && !hasStaffAccess(req, 'reviews:moderate')) {
+      return res.status(403).json({ msg: 'Not authorized to delete this review' });
+    }
+
+    await review.deleteOne();
+    res.json({ msg: 'Review removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protectOrApiKey, requirePermission } from '../middleware/authMiddleware.js';
 import { handleUpload, processUploads } from '../middleware/uploadMiddleware.js';
 import cloudinary from '../utils/cloudinary.js';
 import stream from 'stream';
@@ -10,8 +10,8 @@ const router = express.Router();
 
 // @route   POST /api/upload
 // @desc    Upload image files
-// @access  Private/Admin
-router.post('/', protect, admin, (req, res) => {
+// @access  Private (uploads:create)
+router.post('/', protectOrApiKey, requirePermission('uploads:create'), (req, res) => {
   handleUpload(req, res, async (err) => {
     if (err) {
       return res.status(400).json({ message: err.message });
@@ -58,9 +58,9 @@ router.post('/', protect, admin, (req, res) => {
 
 // @route   DELETE /api/upload/:filename
 // @desc    Delete an uploaded file
-// @access  Private/Admin
+// @access  Private (uploads:delete)
 // To delete from Cloudinary, pass ?publicId=<cloudinary_public_id>
-router.delete('/', protect, admin, async (req, res) => {
+router.delete('/', protectOrApiKey, requirePermission('uploads:delete'), async (req, res) => {
   const { publicId } = req.query;
   if (!publicId) {
     return res.status(400).json({ message: 'publicId is required' });
@@ -1,11 +1,30 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
 import bcrypt from 'bcryptjs';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import jwt from 'jsonwebtoken';
+import { protect, requirePermission, hasStaffAccess } from '../middleware/authMiddleware.js';
+import { ROLES } from '../utils/permissions.js';
+import { exportUserData, anonymizeUser } from '../utils/accountData.js';
+import { sendVerificationEmail, sendAccountDeletionEmail } from '../utils/authEmails.js';
+import { rateLimit } from '../middleware/rateLimitMiddleware.js';
+import { paginate } from '../middleware/paginationMiddleware.js';
+import { findPage, pageMeta } from '../utils/pagination.js';
+import { REFRESH_TOKEN_COOKIE_PATH, LEGACY_REFRESH_TOKEN_COOKIE_PATH } from '../utils/sessions.js';
 import User from '../models/User.js';
 
 const router = express.Router();
 
+// Send a verification link for a changed address; the change stands even if delivery fails
+const sendChangedEmailVerification = async (user) => {
+  try {
+    await sendVerificationEmail(user, user.generateVerificationToken());
+    user.verificationEmailSentAt = new Date();
+    await user.save();
+  } catch (emailError) {
+    console.error('Verification email error:', emailError);
+  }
+};
+
 // @route   GET /api/users/profile
 // @desc    Get current user's profile
 // @access  Private
@@ -48,15 +67,17 @@ router.put(
         return res.status(404).json({ success: false, message: 'User not found' });
       }
 
-      const { name, email, password, avatar, phone } = req.body;
+      const { name, password, avatar, phone } = req.body;
+      const email = req.body.email && String(req.body.email).trim().toLowerCase();
+      const emailChanged = Boolean(email) && email !== user.email;
 
       if (name) user.name = name;
-      if (email && email !== user.email) {
+      if (emailChanged) {
         const existing = await User.findOne({ email });
         if (existing && existing._id.toString() !== user._id.toString()) {
           return res.status(400).json({ success: false, message: 'Email already in use' });
         }
-        user.email = email;
+        user.changeEmail(email);
       }
       if (typeof avatar !== 'undefined') user.avatar = avatar;
       if (typeof phone !== 'undefined') user.phone = phone;
@@ -68,6 +89,10 @@ router.put(
 
       await user.save();
 
+      if (emailChanged) {
+        await sendChangedEmailVerification(user);
+      }
+
       const userResponse = user.toObject();
       delete userResponse.password;
       delete userResponse.refreshToken;
@@ -80,29 +105,298 @@ router.put(
   }
 );
 
+// Most addresses one account can keep
+const MAX_ADDRESSES = 20;
+
+const ADDRESS_FIELDS = ['label', 'fullName', 'address', 'city', 'postalCode', 'country', 'phone'];
+
+const addressValidators = (optional = false) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+  return [
+    check('label', 'Label cannot exceed 50 characters').optional().isString().trim().isLength({ max: 50 }),
+    check('fullName', 'Full name cannot exceed 100 characters').optional().isString().trim().isLength({ max: 100 }),
+    field('address', 'Address is required').isString().trim().notEmpty(),
+    field('city', 'City is required').isString().trim().notEmpty(),
+    field('postalCode', 'Postal code is required').isString().trim().notEmpty(),
+    field('country', 'Country is required').isString().trim().notEmpty(),
+    check('phone', 'Phone must be a string').optional().isString().trim(),
+    check('isDefaultShipping', 'isDefaultShipping must be a boolean').optional().isBoolean(),
+    check('isDefaultBilling', 'isDefaultBilling must be a boolean').optional().isBoolean()
+  ];
+};
+
+const pickAddressFields = (body) =>
+  Object.fromEntries(ADDRESS_FIELDS.filter((field) => field in body).map((field) => [field, body[field]]));
+
+// Point the default shipping/billing address at (or away from) this address
+const applyAddressDefaults = (user, address, { isDefaultShipping, isDefaultBilling }) => {
+  const update = (field, flag) => {
+    if (flag === true || flag === 'true') {
+      user[field] = address._id;
+    } else if ((flag === false || flag === 'false') && user[field]?.equals(address._id)) {
+      user[field] = undefined;
+    }
+  };
+  update('defaultShippingAddress', isDefaultShipping);
+  update('defaultBillingAddress', isDefaultBilling);
+};
+
+const addressBookResponse = (user) => ({
+  success: true,
+  addresses: user.addresses,
+  defaultShippingAddress: user.defaultShippingAddress || null,
+  defaultBillingAddress: user.defaultBillingAddress || null
+});
+
+// @route   GET /api/users/profile/addresses
+// @desc    Get the current user's address book
+// @access  Private
+router.get('/profile/addresses', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('addresses defaultShippingAddress defaultBillingAddress');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json(addressBookResponse(user));
+  } catch (err) {
+    console.error('Get addresses error:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   POST /api/users/profile/addresses
+// @desc    Add an address to the current user's address book
+// @access  Private
+router.post('/profile/addresses', [protect, addressValidators()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${MAX_ADDRESSES} addresses`
+      });
+    }
+
+    user.addresses.push(pickAddressFields(req.body));
+    const address = user.addresses[user.addresses.length - 1];
+
+    // The first address becomes the default for both until the user picks others
+    const isFirst = user.addresses.length === 1;
+    applyAddressDefaults(user, address, {
+      isDefaultShipping: req.body.isDefaultShipping ?? isFirst,
+      isDefaultBilling: req.body.isDefaultBilling ?? isFirst
+    });
+
+    await user.save();
+    res.status(201).json({ ...addressBookResponse(user), address });
+  } catch (err) {
+    console.error('Add address error:', err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   PUT /api/users/profile/addresses/:addressId
+// @desc    Update a saved address
+// @access  Private
+router.put('/profile/addresses/:addressId', [protect, addressValidators(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ success: false, message: 'Address not found' });
+    }
+
+    address.set(pickAddressFields(req.body));
+    applyAddressDefaults(user, address, req.body);
+
+    await user.save();
+    res.json({ ...addressBookResponse(user), address });
+  } catch (err) {
+    console.error('Update address error:', err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Address not found' });
+    }
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   DELETE /api/users/profile/addresses/:addressId
+// @desc    Remove a saved address
+// @access  Private
+router.delete('/profile/addresses/:addressId', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ success: false, message: 'Address not found' });
+    }
+
+    // Defaults pointing at this address are cleared when the user is saved
+    address.deleteOne();
+    await user.save();
+
+    res.json(addressBookResponse(user));
+  } catch (err) {
+    console.error('Delete address error:', err.message);
+    if (err.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Address not found' });
+    }
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Download a JSON archive of the current user's data
+// @access  Private
+router.get('/me/export', protect, async (req, res) => {
+  try {
+    const archive = await exportUserData(req.user._id);
+    if (!archive) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const date = archive.exportedAt.slice(0, 10);
+    res.attachment(`account-export-${date}.json`);
+    res.json(archive);
+  } catch (err) {
+    console.error('Export account error:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// Attempts to confirm closing an account, counted per account rather than per IP
+const accountDeletionLimit = () => rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.user._id.toString()
+});
+
+// Whether an emailed account deletion link was issued to this user at their current address
+const isValidDeletionToken = (token, user) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return false;
+  }
+  return decoded.purpose === 'delete-account' &&
+    decoded.id === user._id.toString() &&
+    decoded.email === user.email;
+};
+
+// @route   POST /api/users/me/deletion-request
+// @desc    Email a link confirming account closure, for accounts without a known password
+// @access  Private
+router.post('/me/deletion-request', protect, accountDeletionLimit(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await sendAccountDeletionEmail(user, user.generateAccountDeletionToken());
+
+    res.json({ success: true, message: 'We sent a confirmation link to your email address' });
+  } catch (err) {
+    console.error('Account deletion request error:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Close the current user's account and anonymize their personal data,
+//          confirmed with the password or the emailed confirmation token
+// @access  Private
+router.delete(
+  '/me',
+  [
+    protect,
+    accountDeletionLimit(),
+    [
+      check('password', 'Password or confirmation token is required')
+        .custom((value, { req }) => Boolean(value || req.body.confirmationToken))
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select('+password');
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      const { password, confirmationToken } = req.body;
+      if (confirmationToken) {
+        if (!isValidDeletionToken(confirmationToken, user)) {
+          return res.status(401).json({ success: false, message: 'Invalid or expired confirmation link' });
+        }
+      } else if (!(await user.comparePassword(password))) {
+        return res.status(401).json({ success: false, message: 'Password is incorrect' });
+      }
+
+      await anonymizeUser(user._id);
+
+      const clearOpts = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+        domain: process.env.NODE_ENV === 'production' ? '.yourdomain.com' : undefined
+      };
+      res.clearCookie('accessToken', { ...clearOpts, path: '/' });
+      res.clearCookie('refreshToken', { ...clearOpts, path: REFRESH_TOKEN_COOKIE_PATH });
+      res.clearCookie('refreshToken', { ...clearOpts, path: LEGACY_REFRESH_TOKEN_COOKIE_PATH });
+
+      res.json({ success: true, message: 'Your account has been deleted' });
+    } catch (err) {
+      console.error('Delete account error:', err.message);
+      res.status(500).json({ success: false, message: 'Server Error' });
+    }
+  }
+);
+
 // @route   GET /api/users
-// @desc    Get all users (Admin only)
-// @access  Private/Admin
-router.get('/', protect, admin, async (req, res) => {
+// @desc    Get all users
+// @access  Private (users:read)
+router.get('/', protect, requirePermission('users:read'), paginate(), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
-    
-    const users = await User.find({})
-      .select('-password')
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
-      
-    const total = await User.countDocuments();
+    const { items: users, total, nextCursor } = await findPage(User, {}, {
+      sort: { createdAt: -1 },
+      pagination: req.pagination,
+      select: '-password'
+    });
     
     res.json({
       users,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
+      ...pageMeta(req, res, { total, nextCursor }),
       totalUsers: total
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     console.error(err.message);
     res.status(500).send('Server Error');
   }
@@ -110,8 +404,8 @@ router.get('/', protect, admin, async (req, res) => {
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private/Admin
-router.get('/:id', protect, admin, async (req, res) => {
+// @access  Private (users:read)
+router.get('/:id', protect, requirePermission('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
@@ -131,13 +425,14 @@ router.get('/:id', protect, admin, async (req, res) => {
 
 // @route   PUT /api/users/:id
 // @desc    Update user
-// @access  Private/Admin
+// @access  Private (users:update; users:assign-roles to change role)
 router.put('/:id', [
   protect,
-  admin,
+  requirePermission('users:update'),
   [
     check('name', 'Name is required').not().isEmpty(),
-    check('email', 'Please include a valid email').isEmail()
+    check('email', 'Please include a valid email').isEmail(),
+    check('role', 'Invalid role').optional().isIn(ROLES)
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -145,7 +440,8 @@ router.put('/:id', [
     return res.status(400).json({ errors: errors.array() });
   }
   
-  const { name, email, role, isActive } = req.body;
+  const { name, role, isActive } = req.body;
+  const email = String(req.body.email).trim().toLowerCase();
   
   try {
     let user = await User.findById(req.params.id);
@@ -153,9 +449,14 @@ router.put('/:id', [
     if (!user) {
       return res.status(404).json({ msg: 'User not found' });
     }
+
+    if (role && role !== user.role && !hasStaffAccess(req, 'users:assign-roles')) {
+      return res.status(403).json({ msg: 'Not authorized to assign roles' });
+    }
     
     // Check if email already exists
-    if (email !== user.email) {
+    const emailChanged = email !== user.email;
+    if (emailChanged) {
       const existingUser = await User.findOne({ email });
       if (existingUser) {
         return res.status(400).json({ msg: 'Email already in use' });
@@ -164,12 +465,16 @@ router.put('/:id', [
     
     // Update user
     user.name = name;
-    user.email = email;
+    if (emailChanged) user.changeEmail(email);
     if (role) user.role = role;
     if (typeof isActive !== 'undefined') user.isActive = isActive;
     
     await user.save();
     
+    if (emailChanged) {
+      await sendChangedEmailVerification(user);
+    }
+    
     // Don't send password in response
     user = user.toObject();
     delete user.password;
@@ -183,8 +488,8 @@ router.put('/:id', [
 
 // @route   DELETE /api/users/:id
 // @desc    Delete user
-// @access  Private/Admin
-router.delete('/:id', [protect, admin], async (req, res) => {
+// @access  Private (users:delete)
+router.delete('/:id', [protect, requirePermission('users:delete')], async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -197,7 +502,8 @@ router.delete('/:id', [protect, admin], async (req, res) => {
       return res.status(400).json({ msg: 'Cannot delete your own account' });
     }
     
-    await user.remove();
+    // Same path as self-service deletion, so order records stay intact
+    await anonymizeUser(user._id, { reason: 'deleted-by-admin' });
     
     res.json({ msg: 'User removed' });
   } catch (err) {
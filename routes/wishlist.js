@@ -0,0 +1,96 @@
+import express from 'express';
+import { check, validationResult } from 'express-validator';
+import { protect } from '../middleware/authMiddleware.js';
+import Wishlist from '../models/Wishlist.js';
+import Product from '../models/Product.js';
+import { buildWishlistResponse } from '../utils/wishlist.js';
+
+const router = express.Router();
+
+// Most products one wishlist can hold
+const MAX_WISHLIST_ITEMS = 200;
+
+// @route   GET /api/wishlist
+// @desc    Get the current user's wishlist with live prices and stock
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    res.json(await buildWishlistResponse(wishlist));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/wishlist
+// @desc    Add a product, or one of its variants, to the wishlist
+// @access  Private
+router.post(
+  '/',
+  [
+    protect,
+    [
+      check('product', 'Please include a valid product ID').isMongoId(),
+      check('variant', 'Variant must be a valid ID').optional({ nullable: true }).isMongoId()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { product: productId, variant: variantId } = req.body;
+
+    try {
+      const product = await Product.findById(productId);
+      if (!product) {
+        return res.status(404).json({ msg: 'Product not found' });
+      }
+      if (variantId && !product.variants.id(variantId)) {
+        return res.status(404).json({ msg: 'Variant not found' });
+      }
+
+      const wishlist = (await Wishlist.findOne({ user: req.user._id })) ||
+        new Wishlist({ user: req.user._id, items: [] });
+
+      // Saving the same product twice is a no-op
+      if (!wishlist.findItem(product._id, variantId)) {
+        if (wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+          return res.status(400).json({ msg: `Your wishlist can hold at most ${MAX_WISHLIST_ITEMS} items` });
+        }
+        wishlist.items.push({ product: product._id, variant: variantId || undefined });
+        await wishlist.save();
+      }
+
+      res.status(201).json(await buildWishlistResponse(wishlist));
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// @route   DELETE /api/wishlist/:productId?variant=
+// @desc    Remove a product, or one of its variants, from the wishlist
+// @access  Private
+router.delete('/:productId', protect, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    const item = wishlist && wishlist.findItem(req.params.productId, req.query.variant);
+    if (!item) {
+      return res.status(404).json({ msg: 'Item not in wishlist' });
+    }
+
+    item.deleteOne();
+    await wishlist.save();
+
+    res.json(await buildWishlistResponse(wishlist));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+export default router;
@@ -0,0 +1,90 @@
+// Create an admin account, or promote an existing user to admin.
+//
+// Usage:
+//   npm run create-admin -- --email admin@shop.com [--name "Jane Admin"] [--password <pw>] [--reset-password]
+//
+// The password can also come from ADMIN_PASSWORD. Without one, a random
+// password is generated and printed once. Existing users keep their password
+// unless --password/ADMIN_PASSWORD or --reset-password is given.
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const usage = 'Usage: npm run create-admin -- --email <email> [--name <name>] [--password <password>] [--reset-password]';
+
+const generatePassword = () => crypto.randomBytes(18).toString('base64url');
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      email: { type: 'string' },
+      name: { type: 'string' },
+      password: { type: 'string' },
+      'reset-password': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return;
+  }
+
+  if (!values.email) {
+    throw new Error(`--email is required\n${usage}`);
+  }
+
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not defined in environment variables');
+  }
+
+  const suppliedPassword = values.password || process.env.ADMIN_PASSWORD;
+  if (suppliedPassword && suppliedPassword.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+
+  const email = values.email.trim().toLowerCase();
+  let user = await User.findOne({ email });
+  let generatedPassword;
+
+  if (user) {
+    user.role = 'admin';
+    if (values.name) user.name = values.name;
+    if (suppliedPassword || values['reset-password']) {
+      generatedPassword = suppliedPassword ? undefined : generatePassword();
+      user.password = suppliedPassword || generatedPassword;
+    }
+    await user.save();
+    console.log(`Promoted ${email} to admin`);
+  } else {
+    generatedPassword = suppliedPassword ? undefined : generatePassword();
+    // Plain password: the User pre-save hook hashes it
+    user = new User({
+      name: values.name || 'Admin',
+      email,
+      password: suppliedPassword || generatedPassword,
+      role: 'admin',
+      isEmailVerified: true,
+    });
+    await user.save();
+    console.log(`Created admin ${email}`);
+  }
+
+  if (generatedPassword) {
+    console.log(`Generated password (shown only once): ${generatedPassword}`);
+  }
+};
+
+main()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,100 @@
+// Give orders created before the status field a status, history and dates.
+//
+// Usage:
+//   npm run migrate-order-status [-- --dry-run]
+//
+// Older orders only stored isPaid/isDelivered. Without a stored status they
+// read as 'pending', so they could be paid again or cancelled (which restocks
+// their items). Run this once after deploying the status change; orders that
+// already have a status are left alone, so running it again is harmless.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import Order from '../models/Order.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const MIGRATION_NOTE = 'Migrated from isPaid/isDelivered';
+
+// Status, dates and history for an order stored with the old boolean flags
+const deriveStatus = (order) => {
+  // Fall back to the last update when the flag was set without its date
+  const fallbackAt = order.updatedAt || order.createdAt || new Date();
+  const paidAt = order.isPaid ? order.paidAt || fallbackAt : undefined;
+  const deliveredAt = order.isDelivered ? order.deliveredAt || fallbackAt : undefined;
+
+  const statusHistory = [{ status: 'pending', at: order.createdAt || fallbackAt, note: MIGRATION_NOTE }];
+  if (paidAt) statusHistory.push({ status: 'paid', at: paidAt, note: MIGRATION_NOTE });
+  if (deliveredAt) statusHistory.push({ status: 'delivered', at: deliveredAt, note: MIGRATION_NOTE });
+
+  const status = statusHistory[statusHistory.length - 1].status;
+  return { status, paidAt, deliveredAt, statusHistory };
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+  const dryRun = values['dry-run'];
+
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not defined in environment variables');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+
+  const counts = {};
+  let batch = [];
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await Order.collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  // Raw documents, since the schema no longer knows the old fields
+  const legacyOrders = Order.collection.find(
+    { status: { $exists: false } },
+    { projection: { isPaid: 1, isDelivered: 1, paidAt: 1, deliveredAt: 1, createdAt: 1, updatedAt: 1 } }
+  );
+
+  for await (const order of legacyOrders) {
+    const { status, paidAt, deliveredAt, statusHistory } = deriveStatus(order);
+    counts[status] = (counts[status] || 0) + 1;
+
+    const $set = {
+      status,
+      statusHistory: statusHistory.map((entry) => ({ _id: new mongoose.Types.ObjectId(), ...entry })),
+    };
+    if (paidAt) $set.paidAt = paidAt;
+    if (deliveredAt) $set.deliveredAt = deliveredAt;
+
+    batch.push({
+      updateOne: {
+        // Skip orders that picked up a status while the migration ran
+        filter: { _id: order._id, status: { $exists: false } },
+        update: { $set, $unset: { isPaid: '', isDelivered: '' } },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${total} orders${total > 0 ? ` (${summary})` : ''}`);
+};
+
+main()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,47 @@
+// Rebuild the product autocomplete index from the current catalogue.
+//
+// Usage:
+//   npm run rebuild-suggestions
+//
+// Product saves and deletes keep the index up to date; run this after
+// importing products directly into MongoDB or if a sync failure was logged.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import SearchSuggestion from '../models/SearchSuggestion.js';
+
+dotenv.config();
+
+const main = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not defined in environment variables');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+  await SearchSuggestion.syncIndexes();
+
+  const productIds = [];
+  const counts = {};
+  for await (const product of Product.find().select('name category numReviews').cursor()) {
+    await SearchSuggestion.indexProduct(product);
+    productIds.push(product._id);
+    counts[product.category] = (counts[product.category] || 0) + 1;
+  }
+
+  // Entries for products that were deleted without going through the API
+  const { deletedCount } = await SearchSuggestion.deleteMany({ kind: 'product', product: { $nin: productIds } });
+  await SearchSuggestion.syncCategories(counts);
+
+  console.log(`Indexed ${productIds.length} products in ${Object.keys(counts).length} categories`);
+  if (deletedCount > 0) {
+    console.log(`Removed ${deletedCount} stale suggestions`);
+  }
+};
+
+main()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
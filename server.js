@@ -12,6 +12,16 @@ import productRoutes from './routes/products.js';
 import orderRoutes from './routes/orders.js';
 import uploadRoutes from './routes/upload.js';
 import authRoutes from './routes/auth.js';
+import paymentRoutes from './routes/payments.js';
+import cartRoutes from './routes/cart.js';
+import reviewRoutes from './routes/reviews.js';
+import couponRoutes from './routes/coupons.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import wishlistRoutes from './routes/wishlist.js';
+import mockOAuthRoutes from './routes/mockOAuth.js';
+import { isMockOAuthEnabled } from './utils/oauthProviders.js';
+import { assertPaymentConfig } from './utils/paymentProviders.js';
+import { assertEmailConfig } from './utils/email.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -106,13 +116,15 @@ const corsOptions = {
     'Accept',
     'Origin',
     'Access-Control-Allow-Credentials',
-    'X-Refresh-Token'
+    'X-Refresh-Token',
+    'X-API-Key'
   ],
   exposedHeaders: [
     'Content-Length',
     'X-Foo',
     'X-Bar',
-    'Set-Cookie'
+    'Set-Cookie',
+    'Link'
   ],
   maxAge: 86400, // 24 hours
   preflightContinue: false,
@@ -129,7 +141,12 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Middleware to parse JSON, urlencoded data, and cookies
-app.use(express.json());
+// Keep the raw JSON body so payment webhooks can verify their signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser(process.env.COOKIE_SECRET));
 
@@ -147,6 +164,17 @@ app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+
+// Local identity provider for the 'mock' OAuth sign-in
+if (isMockOAuthEnabled()) {
+  app.use('/api/mock-oauth', mockOAuthRoutes);
+}
 
 // Serve static files from the public directory
 app.use('/uploads', express.static(path.join(__dirname, '../public/uploads')));
@@ -188,35 +216,11 @@ const startServer = async () => {
       throw new Error('MONGO_URI is not defined in environment variables');
     }
 
+    assertPaymentConfig();
+    assertEmailConfig();
+
     await connectDB();
     
-    // Create default admin user if doesn't exist
-    const User = (await import('./models/User.js')).default;
-    const bcrypt = (await import('bcryptjs')).default;
-    
-    try {
-      const adminExists = await User.findOne({ email: 'admin@example.com' });
-      
-      if (!adminExists) {
-        console.log('Creating default admin user...');
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash('admin123', salt);
-        
-        const adminUser = new User({
-          name: 'Admin',
-          email: 'admin@example.com',
-          password: hashedPassword,
-          role: 'admin'
-        });
-        
-        await adminUser.save();
-        console.log('Default admin user created');
-      }
-    } catch (userError) {
-      console.error('Error setting up admin user:', userError);
-      // Don't crash the server if admin setup fails
-    }
-
     const server = app.listen(PORT, () => {
       console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
       console.log(`JWT_SECRET is ${process.env.JWT_SECRET ? 'set' : 'NOT SET'}`);
@@ -0,0 +1,338 @@
+// OAuth sign-in against the local mock identity provider (routes/mockOAuth.js).
+// MongoDB isn't needed: the User and Session model calls the flow makes are
+// replaced with an in-memory store.
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import authRoutes from '../routes/auth.js';
+import mockOAuthRoutes from '../routes/mockOAuth.js';
+import { getOAuthProvider, isMockOAuthEnabled } from '../utils/oauthProviders.js';
+import { generateSecret, generateCode } from '../utils/totp.js';
+
+const CLIENT_URL = 'http://client.test';
+
+// Anything not stubbed below fails straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+let server;
+let apiUrl;
+let users;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+const addUser = (fields) => {
+  const user = new User({ name: 'Existing Fan', password: 'correct-horse-battery', ...fields });
+  users.push(user);
+  return user;
+};
+
+const findUser = (filter) => {
+  if (filter.email) {
+    return users.find((user) => user.email === filter.email) || null;
+  }
+  const { provider, providerId } = filter.oauthAccounts.$elemMatch;
+  return users.find((user) =>
+    user.oauthAccounts.some((account) => account.provider === provider && account.providerId === providerId)
+  ) || null;
+};
+
+// First Set-Cookie value with the given name
+const getCookie = (response, name) => {
+  const header = response.headers.getSetCookie().find((cookie) => cookie.startsWith(`${name}=`));
+  return header && header.split(';')[0].slice(name.length + 1);
+};
+
+const get = (url, { cookie } = {}) =>
+  fetch(url, { redirect: 'manual', headers: cookie ? { Cookie: cookie } : {} });
+
+/**
+ * Run the browser sign-in up to the callback: start it, approve it at the
+ * mock provider as the given email and return the callback URL and state cookie.
+ */
+const authorizeAs = async (email, { emailVerified = true } = {}) => {
+  const start = await get(`${apiUrl}/api/auth/oauth/mock?returnTo=/account`);
+  assert.equal(start.status, 302);
+  const stateCookie = getCookie(start, 'oauthState');
+  assert.ok(stateCookie, 'sets the state cookie');
+
+  const authorizeUrl = new URL(start.headers.get('location'));
+  authorizeUrl.searchParams.set('login_hint', email);
+  authorizeUrl.searchParams.set('email_verified', String(emailVerified));
+  const approval = await get(authorizeUrl);
+  assert.equal(approval.status, 302);
+
+  return { callbackUrl: new URL(approval.headers.get('location')), cookie: `oauthState=${stateCookie}` };
+};
+
+const signInAs = async (email, options) => {
+  const { callbackUrl, cookie } = await authorizeAs(email, options);
+  return get(callbackUrl, { cookie });
+};
+
+// Client URL the callback redirected to
+const redirectedTo = (response) => new URL(response.headers.get('location'));
+
+before(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.ENABLE_MOCK_OAUTH = 'true';
+  process.env.JWT_SECRET = 'test-jwt-secret';
+  process.env.REFRESH_TOKEN_SECRET = 'test-refresh-secret';
+  process.env.CLIENT_URL = CLIENT_URL;
+  process.env.LOGIN_THROTTLE_STORE = 'memory';
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(cookieParser());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/mock-oauth', mockOAuthRoutes);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  apiUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.API_URL = apiUrl;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  users = [];
+  mock.restoreAll();
+  mock.method(User, 'findOne', async (filter) => findUser(filter));
+  mock.method(User, 'create', async (fields) => addUser(fields));
+  mock.method(User, 'findById', (id) => ({
+    select: async () => users.find((user) => user._id.equals(id)) || null,
+  }));
+  mock.method(User.prototype, 'save', async function () {
+    await this.validate();
+    return this;
+  });
+  mock.method(Session, 'create', async (fields) => new Session(fields));
+  // Keep expected callback failures out of the test output
+  mock.method(console, 'error', () => {});
+});
+
+describe('mock identity provider', () => {
+  it('is only available when ENABLE_MOCK_OAUTH is set outside production', () => {
+    assert.equal(isMockOAuthEnabled(), true);
+    try {
+      process.env.NODE_ENV = 'production';
+      assert.equal(isMockOAuthEnabled(), false);
+      assert.equal(getOAuthProvider('mock'), undefined);
+
+      process.env.NODE_ENV = 'development';
+      delete process.env.ENABLE_MOCK_OAUTH;
+      assert.equal(isMockOAuthEnabled(), false);
+    } finally {
+      process.env.NODE_ENV = 'test';
+      process.env.ENABLE_MOCK_OAUTH = 'true';
+    }
+  });
+
+  it('authorizes with a code and echoes the state', async () => {
+    const redirectUri = `${apiUrl}/callback`;
+    const response = await get(`${apiUrl}/api/mock-oauth/authorize?${new URLSearchParams({
+      redirect_uri: redirectUri,
+      state: 'abc',
+      code_challenge: sha256('verifier'),
+      code_challenge_method: 'S256',
+    })}`);
+
+    assert.equal(response.status, 302);
+    const location = new URL(response.headers.get('location'));
+    assert.equal(`${location.origin}${location.pathname}`, redirectUri);
+    assert.equal(location.searchParams.get('state'), 'abc');
+    assert.ok(location.searchParams.get('code'));
+  });
+
+  it('refuses to authorize without an S256 code challenge', async () => {
+    const response = await get(`${apiUrl}/api/mock-oauth/authorize?${new URLSearchParams({
+      redirect_uri: `${apiUrl}/callback`,
+      code_challenge: 'plain-challenge',
+      code_challenge_method: 'plain',
+    })}`);
+
+    assert.equal(response.status, 400);
+  });
+
+  it('only exchanges a code once, and only with the matching verifier', async () => {
+    const redirectUri = `${apiUrl}/callback`;
+    const authorize = async () => {
+      const response = await get(`${apiUrl}/api/mock-oauth/authorize?${new URLSearchParams({
+        redirect_uri: redirectUri,
+        code_challenge: sha256('right-verifier'),
+        code_challenge_method: 'S256',
+      })}`);
+      return new URL(response.headers.get('location')).searchParams.get('code');
+    };
+    const exchange = (code, verifier) =>
+      fetch(`${apiUrl}/api/mock-oauth/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ code, redirect_uri: redirectUri, code_verifier: verifier }),
+      });
+
+    assert.equal((await exchange(await authorize(), 'wrong-verifier')).status, 400);
+
+    const code = await authorize();
+    const granted = await exchange(code, 'right-verifier');
+    assert.equal(granted.status, 200);
+    const { access_token: accessToken } = await granted.json();
+    assert.equal((await exchange(code, 'right-verifier')).status, 400);
+
+    const profile = await fetch(`${apiUrl}/api/mock-oauth/userinfo`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+    assert.equal(profile.status, 200);
+    assert.equal((await profile.json()).email, 'mock.user@example.com');
+  });
+});
+
+describe('GET /api/auth/oauth/:provider/callback', () => {
+  it('creates a verified account for a new email and signs it in', async () => {
+    const response = await signInAs('new.fan@example.com');
+
+    assert.equal(response.status, 302);
+    assert.equal(redirectedTo(response).href, `${CLIENT_URL}/account`);
+    assert.ok(getCookie(response, 'accessToken'));
+    assert.ok(getCookie(response, 'refreshToken'));
+
+    assert.equal(users.length, 1);
+    assert.equal(users[0].email, 'new.fan@example.com');
+    assert.equal(users[0].isEmailVerified, true);
+    assert.equal(users[0].oauthAccounts[0].provider, 'mock');
+  });
+
+  it('signs a returning user into the account already linked to the identity', async () => {
+    await signInAs('returning@example.com');
+    const response = await signInAs('returning@example.com');
+
+    assert.equal(redirectedTo(response).href, `${CLIENT_URL}/account`);
+    assert.equal(users.length, 1);
+    assert.equal(users[0].oauthAccounts.length, 1);
+  });
+
+  it('links the identity to an existing verified account with the same email', async () => {
+    const existing = addUser({ email: 'collector@example.com', isEmailVerified: true });
+
+    const response = await signInAs('collector@example.com');
+
+    assert.equal(redirectedTo(response).href, `${CLIENT_URL}/account`);
+    assert.equal(users.length, 1);
+    assert.equal(existing.oauthAccounts.length, 1);
+    assert.equal(existing.oauthAccounts[0].email, 'collector@example.com');
+  });
+
+  it('does not link to an existing account whose email is not verified', async () => {
+    const existing = addUser({ email: 'squatted@example.com', isEmailVerified: false });
+
+    const response = await signInAs('squatted@example.com');
+
+    assert.equal(redirectedTo(response).searchParams.get('oauthError'), 'account_unverified');
+    assert.equal(getCookie(response, 'accessToken'), undefined);
+    assert.equal(existing.oauthAccounts.length, 0);
+    assert.equal(users.length, 1);
+  });
+
+  it('does not link or create accounts when the provider has not verified the email', async () => {
+    const existing = addUser({ email: 'victim@example.com', isEmailVerified: true });
+
+    const response = await signInAs('victim@example.com', { emailVerified: false });
+
+    assert.equal(redirectedTo(response).searchParams.get('oauthError'), 'email_unverified');
+    assert.equal(existing.oauthAccounts.length, 0);
+    assert.equal(users.length, 1);
+  });
+
+  it('rejects a callback whose state does not match the cookie', async () => {
+    const { callbackUrl, cookie } = await authorizeAs('fan@example.com');
+    callbackUrl.searchParams.set('state', 'forged-state');
+
+    const response = await get(callbackUrl, { cookie });
+
+    assert.equal(redirectedTo(response).searchParams.get('oauthError'), 'invalid_state');
+    assert.equal(users.length, 0);
+  });
+
+  it('rejects a callback without the state cookie', async () => {
+    const { callbackUrl } = await authorizeAs('fan@example.com');
+
+    const response = await get(callbackUrl);
+
+    assert.equal(redirectedTo(response).searchParams.get('oauthError'), 'invalid_state');
+    assert.equal(users.length, 0);
+  });
+
+  it('hands accounts with 2FA a challenge cookie instead of signing them in', async () => {
+    const secret = generateSecret();
+    addUser({ email: 'secure@example.com', isEmailVerified: true, twoFactor: { enabled: true, secret } });
+
+    const response = await signInAs('secure@example.com');
+
+    const location = redirectedTo(response);
+    assert.equal(location.searchParams.get('mfaRequired'), 'true');
+    assert.equal(location.searchParams.has('mfaToken'), false);
+    assert.equal(getCookie(response, 'accessToken'), undefined);
+    const challenge = getCookie(response, 'mfaChallenge');
+    assert.ok(challenge);
+
+    const finish = await fetch(`${apiUrl}/api/auth/login/2fa`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: `mfaChallenge=${challenge}` },
+      body: JSON.stringify({ code: generateCode(secret) }),
+    });
+    assert.equal(finish.status, 200);
+    assert.ok(getCookie(finish, 'accessToken'));
+    assert.equal(getCookie(finish, 'mfaChallenge'), '');
+  });
+});
+
+describe('POST /api/auth/oauth/:provider/callback', () => {
+  // Authorization code issued for a client that ran PKCE with codeVerifier itself
+  const authorizeNative = async (codeVerifier, email) => {
+    const redirectUri = `${apiUrl}/api/auth/oauth/mock/callback`;
+    const response = await get(`${apiUrl}/api/mock-oauth/authorize?${new URLSearchParams({
+      redirect_uri: redirectUri,
+      code_challenge: sha256(codeVerifier),
+      code_challenge_method: 'S256',
+      login_hint: email,
+    })}`);
+    return new URL(response.headers.get('location')).searchParams.get('code');
+  };
+  const finish = (body) =>
+    fetch(`${apiUrl}/api/auth/oauth/mock/callback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+  it('signs in with the code and the matching verifier', async () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const code = await authorizeNative(codeVerifier, 'app.user@example.com');
+
+    const response = await finish({ code, codeVerifier });
+
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.accountCreated, true);
+    assert.equal(body.user.email, 'app.user@example.com');
+    assert.ok(body.accessToken);
+  });
+
+  it('rejects a code presented with another verifier', async () => {
+    const code = await authorizeNative(crypto.randomBytes(32).toString('base64url'), 'app.user@example.com');
+
+    const response = await finish({ code, codeVerifier: crypto.randomBytes(32).toString('base64url') });
+
+    assert.equal(response.status, 401);
+    assert.equal(users.length, 0);
+  });
+});
@@ -0,0 +1,204 @@
+// Keyset pagination (utils/pagination.js) and the ?page/?limit/?cursor checks
+// in middleware/paginationMiddleware.js. Queries run against an in-memory
+// model that filters and sorts the way MongoDB does, missing values included.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { encodeCursor, decodeCursor, cursorFilter, findPage } from '../utils/pagination.js';
+import { paginate, MAX_OFFSET } from '../middleware/paginationMiddleware.js';
+
+const objectId = (n) => new mongoose.Types.ObjectId(n.toString(16).padStart(24, '0'));
+
+const isScalar = (value) =>
+  value === null || typeof value !== 'object' || value instanceof Date || value instanceof mongoose.Types.ObjectId;
+
+// MongoDB order for the values used here: missing/null before anything else
+const compare = (a, b) => {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  if (typeof a === 'number') return a - b;
+  const key = (value) => (value instanceof Date ? value.getTime() : value.toString());
+  const [x, y] = [key(a), key(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+// The subset of the query language cursorFilter produces
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every((part) => matches(doc, part));
+    if (key === '$or') return condition.some((part) => matches(doc, part));
+
+    const value = doc[key];
+    if (isScalar(condition)) return compare(value, condition) === 0;
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        // Like MongoDB, range operators never match across null and other types
+        case '$gt': return value != null && operand != null && compare(value, operand) > 0;
+        case '$lt': return value != null && operand != null && compare(value, operand) < 0;
+        case '$ne': return compare(value, operand) !== 0;
+        case '$exists': return (value !== undefined) === operand;
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  });
+
+// Just enough of a Mongoose model for findPage
+const inMemoryModel = (docs) => ({
+  find(filter) {
+    let results = docs.filter((doc) => matches(doc, filter));
+    const query = {
+      sort(spec) {
+        results = [...results].sort((a, b) => {
+          for (const [field, direction] of Object.entries(spec)) {
+            const order = compare(a[field], b[field]) * direction;
+            if (order !== 0) return order;
+          }
+          return 0;
+        });
+        return query;
+      },
+      skip(count) {
+        results = results.slice(count);
+        return query;
+      },
+      limit(count) {
+        results = results.slice(0, count);
+        return query;
+      },
+      then(resolve, reject) {
+        return Promise.resolve(results).then(resolve, reject);
+      },
+    };
+    return query;
+  },
+  async countDocuments(filter) {
+    return docs.filter((doc) => matches(doc, filter)).length;
+  },
+});
+
+// Follow nextCursor from the first page to the last and list the names seen
+const walkPages = async (Model, sort, limit) => {
+  const seen = [];
+  let cursor;
+  do {
+    const page = await findPage(Model, {}, { sort, pagination: { limit, skip: 0, cursor } });
+    seen.push(...page.items.map((doc) => doc.name));
+    cursor = page.nextCursor && decodeCursor(page.nextCursor);
+  } while (cursor);
+  return seen;
+};
+
+// Run the middleware and return the 400 errors, or req.pagination when it passes
+const runPaginate = (query, options) => {
+  const req = { query };
+  let rejected;
+  const res = {
+    status(code) {
+      assert.equal(code, 400);
+      return res;
+    },
+    json(body) {
+      rejected = body.errors;
+    },
+  };
+  paginate(options)(req, res, () => {});
+  return rejected ? { errors: rejected } : { pagination: req.pagination };
+};
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips dates, ObjectIds, numbers and missing values and appends the _id tie-breaker', () => {
+    const doc = { _id: objectId(7), paidAt: new Date('2024-03-01T10:00:00Z'), totalPrice: 42.5, deliveredAt: undefined };
+
+    const { keys, values } = decodeCursor(encodeCursor(doc, { paidAt: -1, totalPrice: 1, deliveredAt: 1 }));
+
+    assert.deepEqual(keys, ['paidAt', 'totalPrice', 'deliveredAt', '_id']);
+    assert.ok(values[0] instanceof Date);
+    assert.equal(values[0].getTime(), doc.paidAt.getTime());
+    assert.equal(values[1], 42.5);
+    assert.equal(values[2], null);
+    assert.ok(values[3] instanceof mongoose.Types.ObjectId);
+    assert.ok(values[3].equals(doc._id));
+  });
+
+  it('rejects a cursor whose payload was changed', () => {
+    const token = encodeCursor({ _id: objectId(1), createdAt: new Date('2024-01-01') }, { createdAt: -1 });
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ k: ['createdAt', '_id'], v: [{ d: '2030-01-01T00:00:00.000Z' }, { o: objectId(1).toString() }] }))
+      .toString('base64url');
+
+    for (const tampered of [`${forged}.${signature}`, token.split('.')[0], 'not-a-cursor', `${token}x`]) {
+      assert.throws(() => decodeCursor(tampered), { status: 400, message: 'Invalid cursor' });
+    }
+  });
+
+  it('rejects a cursor issued for another sort order', () => {
+    const cursor = decodeCursor(encodeCursor({ _id: objectId(1), createdAt: new Date('2024-01-01') }, { createdAt: -1 }));
+
+    assert.throws(() => cursorFilter({ paidAt: -1 }, cursor), {
+      status: 400,
+      message: 'Cursor does not match the requested sort order',
+    });
+  });
+});
+
+describe('findPage', () => {
+  // Unpaid orders have no paidAt; a and e were paid at the same moment
+  const orders = inMemoryModel([
+    { _id: objectId(1), name: 'a', paidAt: new Date('2024-01-01') },
+    { _id: objectId(2), name: 'b' },
+    { _id: objectId(3), name: 'c', paidAt: new Date('2024-01-03') },
+    { _id: objectId(4), name: 'd', paidAt: null },
+    { _id: objectId(5), name: 'e', paidAt: new Date('2024-01-01') },
+    { _id: objectId(6), name: 'f', paidAt: new Date('2024-01-02') },
+  ]);
+
+  it('pages ascending through missing values first, then by value and _id', async () => {
+    for (const limit of [1, 2, 4]) {
+      assert.deepEqual(await walkPages(orders, { paidAt: 1 }, limit), ['b', 'd', 'a', 'e', 'f', 'c'], `limit ${limit}`);
+    }
+  });
+
+  it('pages descending by value and _id, then through missing values last', async () => {
+    for (const limit of [1, 2, 4]) {
+      assert.deepEqual(await walkPages(orders, { paidAt: -1 }, limit), ['c', 'f', 'e', 'a', 'd', 'b'], `limit ${limit}`);
+    }
+  });
+
+  it('reports the total and no next cursor on the last page', async () => {
+    const page = await findPage(orders, {}, { sort: { paidAt: 1 }, pagination: { limit: 6, skip: 0 } });
+
+    assert.equal(page.items.length, 6);
+    assert.equal(page.total, 6);
+    assert.equal(page.nextCursor, null);
+  });
+});
+
+describe('paginate', () => {
+  it('defaults to the first page', () => {
+    assert.deepEqual(runPaginate({}).pagination, { limit: 10, page: 1, skip: 0, cursor: undefined });
+  });
+
+  it('rejects limits outside 1..maxLimit and anything that is not a whole number', () => {
+    for (const limit of ['0', '101', '-5', '2.5', 'ten']) {
+      const { errors } = runPaginate({ limit });
+      assert.equal(errors?.[0].path, 'limit', `limit=${limit}`);
+    }
+    assert.equal(runPaginate({ limit: '30' }, { maxLimit: 25 }).errors[0].path, 'limit');
+    assert.equal(runPaginate({ limit: '100' }).pagination.limit, 100);
+  });
+
+  it('rejects pages deeper than MAX_OFFSET', () => {
+    const lastPage = MAX_OFFSET / 10 + 1;
+
+    assert.equal(runPaginate({ page: String(lastPage), limit: '10' }).pagination.skip, MAX_OFFSET);
+    const { errors } = runPaginate({ page: String(lastPage + 1), limit: '10' });
+    assert.equal(errors[0].path, 'page');
+    assert.match(errors[0].msg, /nextCursor/);
+  });
+
+  it('decodes a valid cursor and rejects a tampered one', () => {
+    const token = encodeCursor({ _id: objectId(3), createdAt: new Date('2024-01-01') }, { createdAt: -1 });
+
+    assert.deepEqual(runPaginate({ cursor: token }).pagination.cursor.keys, ['createdAt', '_id']);
+    assert.equal(runPaginate({ cursor: `${token}x` }).errors[0].path, 'cursor');
+  });
+});
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Review from '../models/Review.js';
+import Cart from '../models/Cart.js';
+import Wishlist from '../models/Wishlist.js';
+import ApiKey from '../models/ApiKey.js';
+import LockoutEvent from '../models/LockoutEvent.js';
+import { revokeAllSessions } from './sessions.js';
+import { TWO_FACTOR_SECRETS } from './twoFactor.js';
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Distinct addresses the user has shipped orders to, saved or not
+const collectAddresses = (orders) => {
+  const seen = new Map();
+  for (const order of orders) {
+    const address = order.shippingAddress;
+    if (!address) continue;
+    const { address: line, city, postalCode, country } = address;
+    const key = [line, city, postalCode, country].join('|').toLowerCase();
+    if (!seen.has(key)) {
+      seen.set(key, { address: line, city, postalCode, country, lastUsedAt: order.createdAt });
+    }
+  }
+  return [...seen.values()];
+};
+
+/**
+ * Gather everything stored about a user into one JSON-serialisable archive.
+ * Secrets (password hash, 2FA secrets, backup codes) are never included.
+ */
+const exportUserData = async (userId) => {
+  const [user, orders, reviews, wishlist] = await Promise.all([
+    User.findById(userId).select('-password'),
+    Order.find({ user: userId }).sort({ createdAt: -1 }),
+    Review.find({ user: userId }).populate('product', 'name').sort({ createdAt: -1 }),
+    Wishlist.findOne({ user: userId }),
+  ]);
+  if (!user) {
+    return null;
+  }
+
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: user.toObject(),
+    orders: orders.map((order) => order.toObject()),
+    reviews: reviews.map((review) => review.toObject()),
+    addresses: user.addresses.map((address) => address.toObject()),
+    orderShippingAddresses: collectAddresses(orders),
+    wishlist: wishlist ? wishlist.items.map((item) => item.toObject()) : [],
+  };
+};
+
+/**
+ * Close an account by replacing its personal data with placeholders.
+ * The user document stays so orders and reviews keep a valid reference and
+ * order records remain intact for accounting; sessions, API keys, the
+ * cart and the wishlist are revoked or removed.
+ */
+const anonymizeUser = async (userId, { reason = 'account-deleted' } = {}) => {
+  const user = await User.findById(userId).select(`+password ${TWO_FACTOR_SECRETS}`);
+  if (!user) {
+    return null;
+  }
+
+  user.set({
+    name: 'Deleted User',
+    email: `deleted-${user._id}@deleted.invalid`,
+    // Random password nobody knows, so the account can't be signed into again
+    password: crypto.randomBytes(32).toString('hex'),
+    isEmailVerified: false,
+    verificationEmailSentAt: undefined,
+    isActive: false,
+    lastLogin: undefined,
+    role: 'user',
+    avatar: '',
+    phone: '',
+    oauthAccounts: [],
+    addresses: [],
+    defaultShippingAddress: undefined,
+    defaultBillingAddress: undefined,
+    twoFactor: { enabled: false },
+    deletedAt: new Date(),
+  });
+  await user.save();
+
+  await Promise.all([
+    revokeAllSessions(user._id, { reason }),
+    ApiKey.updateMany(
+      { user: user._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    ),
+    Cart.deleteOne({ user: user._id }),
+    Wishlist.deleteOne({ user: user._id }),
+    LockoutEvent.updateMany({ user: user._id }, { $unset: { email: 1, ip: 1 } }),
+  ]);
+
+  return user;
+};
+
+export { exportUserData, anonymizeUser };
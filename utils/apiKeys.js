@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+
+// Marks a credential as an API key rather than a JWT when sent as a Bearer token
+const API_KEY_PREFIX = 'nwk_';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+/**
+ * Create and store a new API key. The plaintext key is returned only here;
+ * afterwards just its hash and prefix are kept.
+ */
+const issueApiKey = async ({ name, user, scopes, expiresAt }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+    user,
+    scopes,
+    expiresAt,
+  });
+  return { key, apiKey };
+};
+
+/**
+ * Resolve a presented key to its record and acting user, or null when the
+ * key is unknown, revoked, expired or belongs to a deactivated account.
+ */
+const authenticateApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+  if (!apiKey || !apiKey.isActive()) {
+    return null;
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  // Usage tracking is best effort and must not hold up the request
+  ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } }).catch((error) => {
+    console.error('API key usage update failed:', error.message);
+  });
+
+  return { apiKey, user };
+};
+
+export { API_KEY_PREFIX, isApiKey, issueApiKey, authenticateApiKey };
@@ -0,0 +1,39 @@
+import { sendEmail, escapeHtml } from './email.js';
+
+// Public base URL of this API, used to build links in emails
+const getApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const sendVerificationEmail = async (user, token) => {
+  const link = `${getApiUrl()}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please verify your email address by clicking <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+// Public URL of the storefront, where the reset-password page lives
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+const sendPasswordResetEmail = async (user, token) => {
+  const link = `${getClientUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendEmail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. <a href="${link}">Choose a new password</a>.</p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`,
+  });
+};
+
+const sendAccountDeletionEmail = async (user, token) => {
+  const link = `${getClientUrl()}/account/delete?token=${encodeURIComponent(token)}`;
+  await sendEmail({
+    to: user.email,
+    subject: 'Confirm closing your account',
+    text: `Hi ${user.name},\n\nWe received a request to close your account and delete your personal data. Open this link to confirm:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to close your account and delete your personal data. <a href="${link}">Confirm closing your account</a>.</p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`,
+  });
+};
+
+export { sendVerificationEmail, sendPasswordResetEmail, sendAccountDeletionEmail };
@@ -0,0 +1,149 @@
+import Cart, { GUEST_CART_TTL_SECONDS } from '../models/Cart.js';
+import Product from '../models/Product.js';
+import { roundCurrency } from './orderPricing.js';
+
+const GUEST_CART_COOKIE = 'cartId';
+
+const getGuestCartCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/',
+  maxAge: GUEST_CART_TTL_SECONDS * 1000,
+});
+
+/**
+ * Find the owner's cart, creating an empty one if there is none. When two
+ * first requests race to create it, the loser reads the winner's cart.
+ */
+const findOrCreateCart = async (owner) => {
+  const cart = await Cart.findOne(owner);
+  if (cart) return cart;
+
+  try {
+    return await Cart.create({ ...owner, items: [] });
+  } catch (error) {
+    if (error.code === 11000) {
+      return Cart.findOne(owner);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Describe a cart using live product data. Prices always come from the
+ * catalogue, and each line reports whether it can currently be fulfilled.
+ */
+const buildCartResponse = async (cart) => {
+  const items = cart ? cart.items : [];
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product) } });
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const lines = items.map((item) => {
+    const product = productsById.get(item.product.toString());
+    if (!product) {
+      return {
+        product: item.product,
+        qty: item.qty,
+        available: false,
+        issue: 'Product is no longer available',
+      };
+    }
+
+    const variant = item.variant && product.variants.id(item.variant);
+    if (item.variant && !variant) {
+      return {
+        product: product._id,
+        variant: item.variant,
+        name: product.name,
+        qty: item.qty,
+        available: false,
+        issue: 'This option is no longer available',
+      };
+    }
+
+    const stock = variant ? variant.stock : product.stock;
+    const price = product.priceFor(variant);
+    const available = stock >= item.qty;
+    return {
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      attributes: variant ? variant.attributes : undefined,
+      name: product.name,
+      image: (variant && variant.images[0]) || product.images[0],
+      price,
+      stock,
+      qty: item.qty,
+      lineTotal: roundCurrency(price * item.qty),
+      available,
+      issue: available ? undefined : `Only ${stock} left in stock`,
+    };
+  });
+
+  return {
+    items: lines,
+    itemCount: lines.reduce((sum, line) => sum + line.qty, 0),
+    itemsPrice: roundCurrency(
+      lines.reduce((sum, line) => sum + (line.lineTotal || 0), 0)
+    ),
+    hasIssues: lines.some((line) => !line.available),
+  };
+};
+
+/**
+ * Fold a guest cart into the user's stored cart, summing quantities for
+ * products and variants present in both, then remove the guest cart.
+ */
+const mergeGuestCart = async (guestId, userId) => {
+  if (!guestId) return null;
+
+  const guestCart = await Cart.findOne({ guestId });
+  if (!guestCart) return null;
+
+  const cart = await findOrCreateCart({ user: userId });
+
+  for (const item of guestCart.items) {
+    cart.addItem(item.product, item.qty, item.variant);
+  }
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
+
+/**
+ * Take ordered items out of the user's cart. Orders list their own items, so
+ * only the quantities ordered are removed; lines that reach zero are dropped
+ * and anything else in the cart stays.
+ */
+const removeOrderedItems = async (userId, orderItems) => {
+  if (orderItems.length === 0) return;
+
+  await Cart.bulkWrite([
+    ...orderItems.map((item) => ({
+      updateOne: {
+        filter: { user: userId },
+        update: { $inc: { 'items.$[line].qty': -item.qty } },
+        // A null variant also matches lines stored without one
+        arrayFilters: [{ 'line.product': item.product, 'line.variant': item.variant || null }],
+      },
+    })),
+    {
+      updateOne: {
+        filter: { user: userId },
+        update: { $pull: { items: { qty: { $lte: 0 } } } },
+      },
+    },
+  ]);
+};
+
+export {
+  GUEST_CART_COOKIE,
+  getGuestCartCookieOptions,
+  findOrCreateCart,
+  buildCartResponse,
+  mergeGuestCart,
+  removeOrderedItems,
+};
@@ -0,0 +1,138 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+
+// Error carrying an HTTP status for the route to return
+const couponError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.errors = [{ param: 'couponCode', msg: message }];
+  return error;
+};
+
+// Whether a coupon's category/product restrictions cover a product
+const appliesToProduct = (coupon, product) => {
+  const hasCategories = coupon.categories.length > 0;
+  const hasProducts = coupon.products.length > 0;
+  if (!hasCategories && !hasProducts) return true;
+
+  return (
+    (hasCategories && coupon.categories.includes(product.category)) ||
+    (hasProducts && coupon.products.some((id) => id.equals(product._id)))
+  );
+};
+
+/**
+ * Look up a coupon code and work out its discount for an order.
+ * `lines` are { product, price, qty } with full Product documents. Throws a 400
+ * error describing why the coupon can't be used.
+ */
+const applyCoupon = async (code, { userId, lines, itemsPrice, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Invalid coupon code');
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw couponError('This coupon is not active yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw couponError('This coupon has expired');
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+  if (itemsPrice < coupon.minOrderValue) {
+    throw couponError(`Minimum order value for this coupon is ${coupon.minOrderValue}`);
+  }
+
+  // Early check for a friendly error; claimCoupon enforces the limit
+  if (coupon.perUserLimit && userId) {
+    const redemption = await CouponRedemption.findOne({ coupon: coupon._id, user: userId });
+    if (redemption && redemption.count >= coupon.perUserLimit) {
+      throw couponError('You have already used this coupon');
+    }
+  }
+
+  const eligibleTotal = lines
+    .filter((line) => appliesToProduct(coupon, line.product))
+    .reduce((sum, line) => sum + line.price * line.qty, 0);
+
+  if (eligibleTotal === 0) {
+    throw couponError('This coupon does not apply to any items in your order');
+  }
+
+  let amount = coupon.discountType === 'percentage'
+    ? eligibleTotal * (coupon.value / 100)
+    : coupon.value;
+  if (coupon.maxDiscount != null) {
+    amount = Math.min(amount, coupon.maxDiscount);
+  }
+  amount = Math.min(amount, eligibleTotal);
+
+  return { coupon, amount };
+};
+
+// Count one redemption by a user, while under the per-user limit if there is one
+const claimUserRedemption = async (coupon, userId) => {
+  const filter = { coupon: coupon._id, user: userId };
+  const underLimit = coupon.perUserLimit ? { ...filter, count: { $lt: coupon.perUserLimit } } : filter;
+
+  try {
+    return await CouponRedemption.findOneAndUpdate(underLimit, { $inc: { count: 1 } }, { upsert: true, new: true });
+  } catch (error) {
+    // The upsert tried to add a second document, either because the limit is
+    // reached or because a concurrent first claim created it; retry on that one
+    if (error.code !== 11000) throw error;
+    return CouponRedemption.findOneAndUpdate(underLimit, { $inc: { count: 1 } }, { new: true });
+  }
+};
+
+const releaseUserRedemption = (couponId, userId) =>
+  CouponRedemption.updateOne({ coupon: couponId, user: userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+
+/**
+ * Count one redemption against the coupon's global and per-user limits. Both
+ * updates only match while redemptions remain, so concurrent orders can't
+ * exceed either limit. A redemption counts from checkout until releaseCoupon
+ * (order cancelled or deleted while open); refunds of delivered orders still
+ * count, the same way for both limits.
+ */
+const claimCoupon = async (couponId, userId) => {
+  const coupon = await Coupon.findById(couponId).select('perUserLimit');
+  if (!coupon) {
+    throw couponError('Invalid coupon code');
+  }
+
+  if (userId && !(await claimUserRedemption(coupon, userId))) {
+    throw couponError('You have already used this coupon');
+  }
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    if (userId) {
+      await releaseUserRedemption(couponId, userId);
+    }
+    throw couponError('This coupon has reached its usage limit');
+  }
+  return claimed;
+};
+
+const releaseCoupon = async (couponId, userId) => {
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  if (userId) {
+    await releaseUserRedemption(couponId, userId);
+  }
+};
+
+export { applyCoupon, claimCoupon, releaseCoupon };
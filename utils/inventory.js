@@ -0,0 +1,71 @@
+import Product from '../models/Product.js';
+
+// Error carrying an HTTP status and per-item details for the route to return
+const stockError = (message, errors = []) => {
+  const error = new Error(message);
+  error.status = 409;
+  error.errors = errors;
+  return error;
+};
+
+// Variant lines adjust the variant's stock as well as the product total
+const stockFilter = (item) =>
+  item.variant ? { _id: item.product, 'variants._id': item.variant } : { _id: item.product };
+
+const stockChange = (item, qty) =>
+  item.variant
+    ? { $inc: { stock: qty, 'variants.$.stock': qty } }
+    : { $inc: { stock: qty } };
+
+/**
+ * Return stock for the given line items to the catalogue.
+ */
+const releaseStock = async (items) => {
+  if (items.length === 0) return;
+  await Product.bulkWrite(
+    items.map((item) => ({
+      updateOne: {
+        filter: stockFilter(item),
+        update: stockChange(item, item.qty),
+      },
+    }))
+  );
+};
+
+/**
+ * Decrement stock for every line item using conditional updates, so a line
+ * only succeeds while enough stock remains. If any line cannot be filled the
+ * lines already taken are released again and the whole reservation fails.
+ */
+const reserveStock = async (items) => {
+  const reserved = [];
+  const failed = [];
+
+  for (const item of items) {
+    const filter = item.variant
+      ? { _id: item.product, variants: { $elemMatch: { _id: item.variant, stock: { $gte: item.qty } } } }
+      : { _id: item.product, stock: { $gte: item.qty } };
+    const result = await Product.updateOne(filter, stockChange(item, -item.qty));
+    if (result.modifiedCount === 1) {
+      reserved.push(item);
+    } else {
+      failed.push(item);
+    }
+  }
+
+  if (failed.length > 0) {
+    await releaseStock(reserved);
+    throw stockError(
+      'Insufficient stock for some items',
+      failed.map((item) => ({
+        product: item.product,
+        variant: item.variant,
+        name: item.name,
+        requested: item.qty,
+        msg: 'Insufficient stock',
+      }))
+    );
+  }
+};
+
+export { reserveStock, releaseStock };
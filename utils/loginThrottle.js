@@ -0,0 +1,223 @@
+import LoginAttempt from '../models/LoginAttempt.js';
+import LockoutEvent from '../models/LockoutEvent.js';
+
+const WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+// Failures allowed before each account must wait, and before it is locked
+const ACCOUNT_DELAY_AFTER = 3;
+const ACCOUNT_LOCK_AFTER = 10;
+// A single IP may try many accounts, so it gets a higher ceiling
+const IP_LOCK_AFTER = 50;
+
+/**
+ * Throttle stores implement:
+ *   get(key)                      - current record or null
+ *   recordFailure(key, windowMs)  - count a failure, starting a new window if the
+ *                                   old one expired; resolves to the updated record
+ *   lock(key, until)              - block the key until the given date
+ *   reset(key)                    - forget the key
+ * Records look like { failures, lastFailureAt, lockedUntil }.
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const live = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    async get(key) {
+      return live(key);
+    },
+    async recordFailure(key, windowMs) {
+      const now = Date.now();
+      let record = live(key);
+      if (!record || record.windowStartedAt <= now - windowMs) {
+        record = { ...record, failures: 0, windowStartedAt: now };
+      }
+      record.failures += 1;
+      record.lastFailureAt = new Date(now);
+      record.expiresAt = Math.max(now + windowMs, record.lockedUntil ? record.lockedUntil.getTime() : 0);
+      records.set(key, record);
+      return record;
+    },
+    async lock(key, until) {
+      const record = live(key) || { failures: 0, windowStartedAt: Date.now() };
+      record.lockedUntil = until;
+      record.expiresAt = Math.max(record.expiresAt || 0, until.getTime());
+      records.set(key, record);
+    },
+    async reset(key) {
+      records.delete(key);
+    },
+  };
+};
+
+const mongoStore = {
+  async get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  },
+  async recordFailure(key, windowMs) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - windowMs);
+    const inWindow = { $gt: [{ $ifNull: ['$windowStartedAt', windowStart] }, windowStart] };
+
+    // Single atomic update so concurrent failures are all counted
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            failures: { $cond: [inWindow, { $add: ['$failures', 1] }, 1] },
+            windowStartedAt: { $cond: [inWindow, '$windowStartedAt', now] },
+            lastFailureAt: now,
+            expiresAt: {
+              $max: [new Date(now.getTime() + windowMs), { $ifNull: ['$lockedUntil', now] }],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true, lean: true }
+    );
+  },
+  async lock(key, until) {
+    await LoginAttempt.updateOne(
+      { key },
+      { $set: { lockedUntil: until }, $max: { expiresAt: until } },
+      { upsert: true }
+    );
+  },
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  },
+};
+
+const stores = new Map([
+  ['memory', createMemoryStore()],
+  ['mongo', mongoStore],
+]);
+
+const registerLoginThrottleStore = (name, store) => {
+  stores.set(name, store);
+};
+
+const getStore = () => {
+  const name = process.env.LOGIN_THROTTLE_STORE || 'mongo';
+  const store = stores.get(name);
+  if (!store) {
+    throw new Error(`Unknown login throttle store: ${name}`);
+  }
+  return store;
+};
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Wait required after the latest failure: 1s, 2s, 4s, ... capped at MAX_DELAY_MS
+const delayFor = (failures) =>
+  failures < ACCOUNT_DELAY_AFTER
+    ? 0
+    : Math.min(1000 * 2 ** (failures - ACCOUNT_DELAY_AFTER), MAX_DELAY_MS);
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((new Date(time).getTime() - Date.now()) / 1000));
+
+/**
+ * Decide whether a login attempt may proceed. Resolves to { allowed: true }
+ * or { allowed: false, status, message, retryAfter } with retryAfter in seconds.
+ */
+const checkLoginAllowed = async ({ email, ip }) => {
+  const store = getStore();
+  const now = Date.now();
+  const [account, client] = await Promise.all([store.get(accountKey(email)), store.get(ipKey(ip))]);
+
+  if (client && client.lockedUntil && new Date(client.lockedUntil).getTime() > now) {
+    return {
+      allowed: false,
+      status: 429,
+      message: 'Too many failed login attempts from this network. Please try again later.',
+      retryAfter: secondsUntil(client.lockedUntil),
+    };
+  }
+
+  if (account && account.lockedUntil && new Date(account.lockedUntil).getTime() > now) {
+    return {
+      allowed: false,
+      status: 423,
+      message: 'Account temporarily locked due to too many failed login attempts.',
+      retryAfter: secondsUntil(account.lockedUntil),
+    };
+  }
+
+  if (account) {
+    const nextAttemptAt = new Date(account.lastFailureAt).getTime() + delayFor(account.failures);
+    if (nextAttemptAt > now) {
+      return {
+        allowed: false,
+        status: 429,
+        message: 'Too many failed login attempts. Please wait before trying again.',
+        retryAfter: secondsUntil(nextAttemptAt),
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Count a failed login against the account and the IP, locking either one
+ * (and recording a LockoutEvent) once it crosses its threshold.
+ */
+const recordLoginFailure = async ({ email, ip, user }) => {
+  const store = getStore();
+  const [account, client] = await Promise.all([
+    store.recordFailure(accountKey(email), WINDOW_MS),
+    store.recordFailure(ipKey(ip), WINDOW_MS),
+  ]);
+
+  const now = Date.now();
+  const isLocked = (record) => record.lockedUntil && new Date(record.lockedUntil).getTime() > now;
+  const lockedUntil = new Date(now + LOCKOUT_MS);
+  const events = [];
+
+  if (account.failures >= ACCOUNT_LOCK_AFTER && !isLocked(account)) {
+    await store.lock(accountKey(email), lockedUntil);
+    events.push({ scope: 'account', failures: account.failures });
+  }
+
+  if (client.failures >= IP_LOCK_AFTER && !isLocked(client)) {
+    await store.lock(ipKey(ip), lockedUntil);
+    events.push({ scope: 'ip', failures: client.failures });
+  }
+
+  if (events.length > 0) {
+    await LockoutEvent.insertMany(
+      events.map((event) => ({
+        ...event,
+        email,
+        ip,
+        user: user ? user._id : undefined,
+        lockedUntil,
+      }))
+    );
+  }
+};
+
+// Clear the account's counter after a successful login
+const resetLoginFailures = async ({ email }) => {
+  await getStore().reset(accountKey(email));
+};
+
+export {
+  createMemoryStore,
+  registerLoginThrottleStore,
+  checkLoginAllowed,
+  recordLoginFailure,
+  resetLoginFailures,
+};
@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// No fallback: a well-known secret would let anyone forge webhooks
+const getWebhookSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+// Payments complete only through the webhook unless immediate capture is switched on
+const isAutoCapture = () => process.env.MOCK_PAYMENT_AUTO_CAPTURE === 'true';
+
+/**
+ * Sign a webhook body the way the mock gateway would. Useful for tests and
+ * for replaying webhooks by hand during development.
+ */
+const signPayload = (rawBody) => {
+  const secret = getWebhookSecret();
+  if (!secret) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+/**
+ * Build a signed webhook delivery for a mock payment.
+ */
+const createWebhookEvent = ({ paymentId, orderId, amount, email, type = 'payment.succeeded' }) => {
+  const payload = {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    data: {
+      paymentId,
+      orderId,
+      amount,
+      email,
+      status: type === 'payment.succeeded' ? 'COMPLETED' : 'FAILED',
+      updateTime: new Date().toISOString(),
+    },
+  };
+  const rawBody = JSON.stringify(payload);
+  return { rawBody, signature: signPayload(rawBody), header: SIGNATURE_HEADER };
+};
+
+const mockPaymentProvider = {
+  name: 'mock',
+
+  isConfigured() {
+    return Boolean(getWebhookSecret());
+  },
+
+  async createPayment(order, { email } = {}) {
+    const paymentId = `mock_pay_${crypto.randomUUID()}`;
+
+    if (!isAutoCapture()) {
+      return { paymentId, status: 'pending' };
+    }
+
+    return {
+      paymentId,
+      status: 'succeeded',
+      result: {
+        id: paymentId,
+        status: 'COMPLETED',
+        update_time: new Date().toISOString(),
+        email_address: email,
+      },
+      amount: order.totalPrice,
+    };
+  },
+
+  verifyWebhook(req) {
+    const signature = req.get(SIGNATURE_HEADER);
+    if (!signature || !req.rawBody) {
+      throw new Error('Missing webhook signature');
+    }
+
+    const expected = Buffer.from(signPayload(req.rawBody));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const { id, type, data = {} } = req.body;
+    return {
+      eventId: id,
+      type,
+      paymentId: data.paymentId,
+      orderId: data.orderId,
+      amount: data.amount,
+      result: {
+        id: data.paymentId,
+        status: data.status,
+        update_time: data.updateTime,
+        email_address: data.email,
+      },
+    };
+  },
+};
+
+export { signPayload, createWebhookEvent };
+export default mockPaymentProvider;
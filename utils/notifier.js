@@ -0,0 +1,41 @@
+import { sendEmail, escapeHtml } from './email.js';
+
+/**
+ * Notifiers implement:
+ *   name                            - key used in NOTIFIER
+ *   backInStock({ user, product })  - tell a user that a product on their
+ *                                     wishlist can be bought again
+ */
+const notifiers = new Map();
+
+// Public URL of the storefront, where product pages live
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+const emailNotifier = {
+  name: 'email',
+  async backInStock({ user, product }) {
+    const link = `${getClientUrl()}/products/${product._id}`;
+    await sendEmail({
+      to: user.email,
+      subject: `${product.name} is back in stock`,
+      text: `Hi ${user.name},\n\n${product.name} from your wishlist is back in stock:\n${link}\n\nStock is limited, so don't wait too long!`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">${escapeHtml(product.name)}</a> from your wishlist is back in stock.</p><p>Stock is limited, so don't wait too long!</p>`,
+    });
+  },
+};
+
+const registerNotifier = (notifier) => {
+  notifiers.set(notifier.name, notifier);
+};
+
+const getNotifier = (name = process.env.NOTIFIER || 'email') => {
+  const notifier = notifiers.get(name);
+  if (!notifier) {
+    throw new Error(`Unknown notifier: ${name}`);
+  }
+  return notifier;
+};
+
+registerNotifier(emailNotifier);
+
+export { registerNotifier, getNotifier };
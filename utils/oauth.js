@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+
+const OAUTH_STATE_COOKIE = 'oauthState';
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+// Error carrying an HTTP status and a short code the client can show a message for
+const linkError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const getOAuthStateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // Lax so the cookie comes back on the provider's top-level redirect
+  sameSite: 'lax',
+  path: '/api/auth/oauth',
+  maxAge: OAUTH_STATE_TTL_SECONDS * 1000,
+});
+
+/**
+ * Sign the state, PKCE verifier and return path of a browser sign-in so the
+ * callback can check them without server-side storage.
+ */
+const createOAuthState = ({ provider, codeVerifier, returnTo }) => {
+  const state = crypto.randomBytes(16).toString('hex');
+  const cookie = jwt.sign(
+    { purpose: 'oauth-state', provider, state, codeVerifier, returnTo },
+    process.env.JWT_SECRET,
+    { expiresIn: OAUTH_STATE_TTL_SECONDS }
+  );
+  return { state, cookie };
+};
+
+// Resolves to the signed sign-in details, or null if missing, expired or for another flow
+const readOAuthState = (cookie, provider) => {
+  try {
+    const decoded = jwt.verify(cookie, process.env.JWT_SECRET);
+    return decoded.purpose === 'oauth-state' && decoded.provider === provider ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Only same-site paths are allowed, so the callback can't be used as an open redirect
+const safeReturnPath = (value) =>
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.includes('\\')
+    ? value
+    : '/';
+
+/**
+ * Find the account for an external identity, linking it to an existing user
+ * with the same email or creating a new user as needed. Linking requires the
+ * provider to have verified the email, and the local account to have verified
+ * it too, so nobody can pre-register someone else's address and take over the
+ * account once its owner signs in with the provider.
+ */
+const resolveOAuthUser = async (provider, profile) => {
+  if (!profile.id) {
+    throw linkError('The provider did not return an account ID', 502, 'profile_invalid');
+  }
+
+  const linked = await User.findOne({
+    oauthAccounts: { $elemMatch: { provider, providerId: String(profile.id) } },
+  });
+  if (linked) {
+    return { user: linked, created: false, linked: false };
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    throw linkError('Your provider account needs a verified email address', 403, 'email_unverified');
+  }
+
+  const account = { provider, providerId: String(profile.id), email: profile.email };
+  const email = profile.email.toLowerCase();
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (!existing.isEmailVerified) {
+      throw linkError(
+        'An account with this email exists but is not verified. Sign in with your password and verify your email first.',
+        409,
+        'account_unverified'
+      );
+    }
+    existing.oauthAccounts.push(account);
+    await existing.save();
+    return { user: existing, created: false, linked: true };
+  }
+
+  // The random password is never shown; the user can set one via forgot-password
+  const user = await User.create({
+    name: (profile.name || email.split('@')[0]).slice(0, 50).padEnd(2, '_'),
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    isEmailVerified: true,
+    avatar: profile.avatar || '',
+    oauthAccounts: [account],
+  });
+  return { user, created: true, linked: false };
+};
+
+export {
+  OAUTH_STATE_COOKIE,
+  getOAuthStateCookieOptions,
+  createOAuthState,
+  readOAuthState,
+  safeReturnPath,
+  resolveOAuthUser,
+};
@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+
+/**
+ * OAuth providers implement:
+ *   name                                   - key used in /api/auth/oauth/:provider
+ *   isConfigured()                         - whether client credentials are set
+ *   getAuthorizationUrl({ state, codeChallenge, redirectUri })
+ *                                          - where to send the browser to sign in
+ *   exchangeCode({ code, codeVerifier, redirectUri })
+ *                                          - trade an authorization code for tokens
+ *   fetchProfile(tokens)                   - resolve to
+ *                                            { id, email, emailVerified, name, avatar }
+ */
+const providers = new Map();
+
+const getApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Error carrying an HTTP status for the route to return
+const oauthError = (message, status = 502) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Generate a PKCE verifier and its S256 challenge.
+ */
+const createPkcePair = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Build a provider for a standard OAuth2 / OIDC authorization-code flow with
+ * PKCE. Client credentials are read from the environment on each call so they
+ * pick up values loaded by dotenv.config().
+ */
+const createOAuthProvider = ({
+  name,
+  authorizationUrl,
+  tokenUrl,
+  userInfoUrl,
+  scope,
+  envPrefix,
+  mapProfile,
+  authorizationParams = {},
+  defaultClientId,
+}) => {
+  const resolve = (value) => (typeof value === 'function' ? value() : value);
+  const credentials = () => ({
+    clientId: process.env[`${envPrefix}_CLIENT_ID`] || defaultClientId,
+    clientSecret: process.env[`${envPrefix}_CLIENT_SECRET`],
+  });
+
+  return {
+    name,
+
+    isConfigured() {
+      return Boolean(credentials().clientId);
+    },
+
+    getAuthorizationUrl({ state, codeChallenge, redirectUri }) {
+      const url = new URL(resolve(authorizationUrl));
+      url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: credentials().clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        ...authorizationParams,
+      }).toString();
+      return url.toString();
+    },
+
+    async exchangeCode({ code, codeVerifier, redirectUri }) {
+      const { clientId, clientSecret } = credentials();
+      const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        code_verifier: codeVerifier,
+      });
+      if (clientSecret) {
+        body.set('client_secret', clientSecret);
+      }
+
+      const response = await fetch(resolve(tokenUrl), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body,
+      });
+      const tokens = await response.json().catch(() => ({}));
+      if (!response.ok || !tokens.access_token) {
+        throw oauthError(`${name} rejected the authorization code`, 401);
+      }
+      return tokens;
+    },
+
+    async fetchProfile(tokens) {
+      const response = await fetch(resolve(userInfoUrl), {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' },
+      });
+      if (!response.ok) {
+        throw oauthError(`Could not load the ${name} profile`);
+      }
+      return mapProfile(await response.json());
+    },
+  };
+};
+
+const googleProvider = createOAuthProvider({
+  name: 'google',
+  authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+  tokenUrl: 'https://oauth2.googleapis.com/token',
+  userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+  scope: 'openid email profile',
+  envPrefix: 'GOOGLE',
+  authorizationParams: { prompt: 'select_account' },
+  mapProfile: (profile) => ({
+    id: profile.sub,
+    email: profile.email,
+    emailVerified: profile.email_verified === true,
+    name: profile.name,
+    avatar: profile.picture,
+  }),
+});
+
+const discordProvider = createOAuthProvider({
+  name: 'discord',
+  authorizationUrl: 'https://discord.com/oauth2/authorize',
+  tokenUrl: 'https://discord.com/api/oauth2/token',
+  userInfoUrl: 'https://discord.com/api/users/@me',
+  scope: 'identify email',
+  envPrefix: 'DISCORD',
+  mapProfile: (profile) => ({
+    id: profile.id,
+    email: profile.email,
+    emailVerified: profile.verified === true,
+    name: profile.global_name || profile.username,
+    avatar: profile.avatar
+      ? `https://cdn.discordapp.com/avatars/${profile.id}/${profile.avatar}.png`
+      : undefined,
+  }),
+});
+
+// Talks to the local mock identity provider in routes/mockOAuth.js
+const mockProvider = createOAuthProvider({
+  name: 'mock',
+  authorizationUrl: () => `${getApiUrl()}/api/mock-oauth/authorize`,
+  tokenUrl: () => `${getApiUrl()}/api/mock-oauth/token`,
+  userInfoUrl: () => `${getApiUrl()}/api/mock-oauth/userinfo`,
+  scope: 'openid email profile',
+  envPrefix: 'MOCK_OAUTH',
+  defaultClientId: 'mock-client',
+  mapProfile: (profile) => ({
+    id: profile.sub,
+    email: profile.email,
+    emailVerified: profile.email_verified === true,
+    name: profile.name,
+  }),
+});
+
+// The mock identity provider signs anyone in as anyone, so it only runs when
+// switched on with ENABLE_MOCK_OAUTH=true, and never in production
+const isMockOAuthEnabled = () =>
+  process.env.ENABLE_MOCK_OAUTH === 'true' && process.env.NODE_ENV !== 'production';
+
+const registerOAuthProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+const getOAuthProvider = (name) => {
+  if (name === 'mock' && !isMockOAuthEnabled()) {
+    return undefined;
+  }
+  const provider = providers.get(name);
+  return provider && provider.isConfigured() ? provider : undefined;
+};
+
+const getOAuthRedirectUri = (name) => `${getApiUrl()}/api/auth/oauth/${name}/callback`;
+
+registerOAuthProvider(googleProvider);
+registerOAuthProvider(discordProvider);
+registerOAuthProvider(mockProvider);
+
+export {
+  createOAuthProvider,
+  createPkcePair,
+  registerOAuthProvider,
+  getOAuthProvider,
+  getOAuthRedirectUri,
+  isMockOAuthEnabled,
+};
@@ -0,0 +1,136 @@
+import Product from '../models/Product.js';
+import { applyCoupon } from './coupons.js';
+
+// Pricing settings are read lazily so they pick up values loaded by dotenv.config()
+const getPricingConfig = () => ({
+  taxRate: Number(process.env.ORDER_TAX_RATE ?? 0.15),
+  shippingPrice: Number(process.env.ORDER_SHIPPING_PRICE ?? 10),
+  freeShippingThreshold: Number(process.env.ORDER_FREE_SHIPPING_THRESHOLD ?? 100),
+});
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Error carrying an HTTP status and per-item details for the route to return
+const pricingError = (message, errors = []) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.errors = errors;
+  return error;
+};
+
+// Collapse duplicate product/variant lines into a single line with the summed quantity
+const mergeLineItems = (items) => {
+  const merged = new Map();
+  for (const { product, variant, qty } of items) {
+    const key = `${product}:${variant || ''}`;
+    const line = merged.get(key) || { product: String(product), variant: variant && String(variant), qty: 0 };
+    line.qty += Number(qty);
+    merged.set(key, line);
+  }
+  return [...merged.values()];
+};
+
+/**
+ * Build order line items and totals from the current product catalogue.
+ * Only product and variant IDs and quantities are taken from the client; names,
+ * images and prices always come from the Product collection. When a coupon code is
+ * given its discount is taken off the items before tax and shipping.
+ */
+const priceOrder = async (items, { couponCode, userId } = {}) => {
+  const lines = mergeLineItems(items);
+  const products = await Product.find({ _id: { $in: lines.map((line) => line.product) } });
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const missing = lines.filter((line) => !productsById.has(line.product));
+  if (missing.length > 0) {
+    throw pricingError(
+      'Some products could not be found',
+      missing.map((line) => ({ product: line.product, msg: 'Product not found' }))
+    );
+  }
+
+  // Products sold in variants must be ordered as a specific variant
+  const variantErrors = [];
+  for (const line of lines) {
+    const product = productsById.get(line.product);
+    if (line.variant) {
+      line.variantDoc = product.variants.id(line.variant);
+      if (!line.variantDoc) {
+        variantErrors.push({ product: line.product, variant: line.variant, msg: 'Variant not found' });
+      }
+    } else if (product.variants.length > 0) {
+      variantErrors.push({ product: line.product, msg: 'Please choose a variant' });
+    }
+  }
+  if (variantErrors.length > 0) {
+    throw pricingError('Some items need a valid variant', variantErrors);
+  }
+
+  const orderItems = lines.map((line) => {
+    const product = productsById.get(line.product);
+    const variant = line.variantDoc;
+    if (!variant) {
+      return {
+        name: product.name,
+        qty: line.qty,
+        image: product.images[0],
+        price: product.price,
+        product: product._id,
+      };
+    }
+    return {
+      name: `${product.name} (${variant.label()})`,
+      qty: line.qty,
+      image: variant.images[0] || product.images[0],
+      price: product.priceFor(variant),
+      product: product._id,
+      variant: variant._id,
+      sku: variant.sku,
+      attributes: variant.attributes,
+    };
+  });
+
+  const { taxRate, shippingPrice, freeShippingThreshold } = getPricingConfig();
+  const itemsPrice = roundCurrency(
+    orderItems.reduce((sum, item) => sum + item.price * item.qty, 0)
+  );
+
+  let discount;
+  let discountPrice = 0;
+  if (couponCode) {
+    const { coupon, amount } = await applyCoupon(couponCode, {
+      userId,
+      itemsPrice,
+      lines: orderItems.map((item) => ({
+        product: productsById.get(item.product.toString()),
+        price: item.price,
+        qty: item.qty,
+      })),
+    });
+    discountPrice = roundCurrency(amount);
+    discount = {
+      coupon: coupon._id,
+      code: coupon.code,
+      discountType: coupon.discountType,
+      value: coupon.value,
+      amount: discountPrice,
+    };
+  }
+
+  const discountedPrice = roundCurrency(itemsPrice - discountPrice);
+  const taxPrice = roundCurrency(discountedPrice * taxRate);
+  const shipping = discountedPrice >= freeShippingThreshold ? 0 : shippingPrice;
+  const totalPrice = roundCurrency(discountedPrice + taxPrice + shipping);
+
+  return {
+    orderItems,
+    itemsPrice,
+    discount,
+    discountPrice,
+    taxPrice,
+    shippingPrice: shipping,
+    totalPrice,
+  };
+};
+
+export { priceOrder, roundCurrency };
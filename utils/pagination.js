@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Error carrying an HTTP status for the route to return
+const paginationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Cursors are signed so clients can't hand-craft the filters built from them
+const getCursorSecret = () => process.env.CURSOR_SECRET || process.env.JWT_SECRET || 'cursor-secret';
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', getCursorSecret()).update(payload).digest('base64url');
+
+// JSON drops the type of dates and ObjectIds, so tag them to restore them when decoding
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value ?? null;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.d === 'string') return new Date(value.d);
+    if (typeof value.o === 'string' && mongoose.isValidObjectId(value.o)) {
+      return new mongoose.Types.ObjectId(value.o);
+    }
+    throw paginationError('Invalid cursor');
+  }
+  return value;
+};
+
+// Every keyset sort ends on _id so documents with equal sort values keep a fixed order
+const withTieBreaker = (sort) => ('_id' in sort ? sort : { ...sort, _id: Object.values(sort)[0] ?? -1 });
+
+const readField = (doc, field) => (typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+
+/**
+ * Opaque token pointing just after doc in the given sort order.
+ */
+const encodeCursor = (doc, sort) => {
+  const keys = Object.keys(withTieBreaker(sort));
+  const payload = Buffer.from(
+    JSON.stringify({ k: keys, v: keys.map((key) => encodeValue(readField(doc, key))) })
+  ).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+const decodeCursor = (token) => {
+  const [payload, signature] = String(token).split('.');
+  const expected = payload && sign(payload);
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw paginationError('Invalid cursor');
+  }
+
+  try {
+    const { k: keys, v: values } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return { keys, values: values.map(decodeValue) };
+  } catch (error) {
+    throw paginationError('Invalid cursor');
+  }
+};
+
+// Condition for "comes after value" on one field, allowing for missing values,
+// which MongoDB sorts before everything else
+const afterValue = (field, direction, value) => {
+  if (direction === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Filter matching the documents after the cursor for the given sort.
+ * Resolves to {} without a cursor.
+ */
+const cursorFilter = (sort, cursor) => {
+  if (!cursor) return {};
+
+  const spec = withTieBreaker(sort);
+  const keys = Object.keys(spec);
+  if (keys.length !== cursor.keys.length || keys.some((key, index) => key !== cursor.keys[index])) {
+    throw paginationError('Cursor does not match the requested sort order');
+  }
+
+  // (a after x) or (a = x and b after y) or ...
+  const branches = [];
+  keys.forEach((key, index) => {
+    const after = afterValue(key, spec[key], cursor.values[index]);
+    if (!after) return;
+    const equal = Object.fromEntries(keys.slice(0, index).map((prev, i) => [prev, cursor.values[i]]));
+    branches.push({ ...equal, ...after });
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+/**
+ * Trim a result fetched with limit + 1 and work out the next cursor.
+ */
+const toPage = (results, sort, limit) => {
+  const hasMore = results.length > limit;
+  const items = hasMore ? results.slice(0, limit) : results;
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+  };
+};
+
+/**
+ * Fetch one page of a collection. Uses the cursor from req.pagination when
+ * there is one and page/skip otherwise; either way the result includes the
+ * cursor for the following page.
+ */
+const findPage = async (Model, filter, { sort, pagination, populate, select }) => {
+  const spec = withTieBreaker(sort);
+  const { limit, skip, cursor } = pagination;
+
+  let query = Model.find(cursor ? { $and: [filter, cursorFilter(spec, cursor)] } : filter)
+    .sort(spec)
+    .skip(cursor ? 0 : skip)
+    .limit(limit + 1);
+  if (populate) query = query.populate(...populate);
+  if (select) query = query.select(select);
+
+  const [results, total] = await Promise.all([query, Model.countDocuments(filter)]);
+  return { ...toPage(results, spec, limit), total };
+};
+
+/**
+ * Set the Link header for the next page and return the paging fields every
+ * list response carries.
+ */
+const pageMeta = (req, res, { total, nextCursor }) => {
+  const { limit, page, cursor } = req.pagination;
+
+  if (nextCursor) {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    url.searchParams.delete('page');
+    url.searchParams.set('cursor', nextCursor);
+    url.searchParams.set('limit', String(limit));
+    res.set('Link', `<${url}>; rel="next"`);
+  }
+
+  return {
+    totalPages: Math.ceil(total / limit),
+    currentPage: cursor ? null : page,
+    limit,
+    nextCursor,
+  };
+};
+
+export {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  withTieBreaker,
+  toPage,
+  findPage,
+  pageMeta,
+};
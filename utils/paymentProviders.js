@@ -0,0 +1,78 @@
+import Order from '../models/Order.js';
+import mockPaymentProvider from './mockPaymentProvider.js';
+
+/**
+ * Payment providers implement:
+ *   name                          - key used in routes and PAYMENT_PROVIDER
+ *   isConfigured()                - whether credentials and the webhook secret are set
+ *   createPayment(order, context) - start a payment; resolves to
+ *                                   { paymentId, status, result?, amount?, ... }
+ *                                   where status 'succeeded' means captured now
+ *   verifyWebhook(req)            - check the signature on req.rawBody and return
+ *                                   { eventId, type, paymentId, orderId, amount, result }
+ *                                   or throw if the request is not authentic
+ */
+const providers = new Map();
+
+const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// The mock gateway approves any payment, so it never runs in production unless allowed
+const isProviderAllowed = (name) =>
+  name !== 'mock' || process.env.NODE_ENV !== 'production' || process.env.ALLOW_MOCK_PAYMENTS === 'true';
+
+// There is no default provider; PAYMENT_PROVIDER must name one explicitly
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  const provider = name && isProviderAllowed(name) ? providers.get(name) : undefined;
+  return provider && provider.isConfigured() ? provider : undefined;
+};
+
+/**
+ * Throw unless PAYMENT_PROVIDER names a provider that is allowed here and
+ * fully configured. Run at startup so a misconfigured server never takes orders.
+ */
+const assertPaymentConfig = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not defined in environment variables');
+  }
+  if (!providers.has(name)) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  if (!isProviderAllowed(name)) {
+    throw new Error(`Payment provider "${name}" is not allowed in production`);
+  }
+  if (!providers.get(name).isConfigured()) {
+    throw new Error(`Payment provider "${name}" is missing its credentials or webhook secret`);
+  }
+};
+
+/**
+ * Mark an order paid with the provider's result. The update only matches
+ * pending orders, so repeated calls for the same payment are no-ops.
+ * Resolves to the updated order, or null if it was already paid.
+ */
+const markOrderPaid = (orderId, { provider, paymentId, result }) => {
+  const paidAt = new Date();
+  return Order.findOneAndUpdate(
+    { _id: orderId, status: 'pending' },
+    {
+      $set: {
+        status: 'paid',
+        paidAt,
+        paymentProvider: provider,
+        paymentId,
+        paymentResult: result,
+      },
+      $push: {
+        statusHistory: { status: 'paid', at: paidAt, note: `Paid via ${provider}` },
+      },
+    },
+    { new: true }
+  );
+};
+
+registerPaymentProvider(mockPaymentProvider);
+
+export { registerPaymentProvider, getPaymentProvider, assertPaymentConfig, markOrderPaid };
@@ -0,0 +1,67 @@
+// Every permission the API checks. Routes name these in requirePermission().
+const PERMISSIONS = [
+  'products:create',
+  'products:update',
+  'products:delete',
+  'uploads:create',
+  'uploads:delete',
+  'coupons:manage',
+  'reviews:moderate',
+  'orders:read',
+  'orders:update-status',
+  'orders:deliver',
+  'orders:delete',
+  'users:read',
+  'users:update',
+  'users:assign-roles',
+  'users:delete',
+  'security:read',
+  'api-keys:manage',
+];
+
+// Permissions granted to each role; '*' grants everything
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: ['*'],
+  catalog_manager: [
+    'products:create',
+    'products:update',
+    'products:delete',
+    'uploads:create',
+    'uploads:delete',
+    'coupons:manage',
+    'reviews:moderate',
+  ],
+  order_fulfilment: [
+    'orders:read',
+    'orders:update-status',
+    'orders:deliver',
+  ],
+  support: [
+    'orders:read',
+    'orders:update-status',
+    'users:read',
+    'reviews:moderate',
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const permissionsForRole = (role) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') ? [...PERMISSIONS] : [...granted];
+};
+
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  const granted = ROLE_PERMISSIONS[user.role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+export {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  permissionsForRole,
+  hasPermission,
+};
@@ -0,0 +1,150 @@
+import Product from '../models/Product.js';
+import { cursorFilter, toPage } from './pagination.js';
+
+// Lower bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKET_BOUNDARIES = [0, 25, 50, 100, 200, 500];
+
+// Prices a product sells at: each variant's price (falling back to the
+// product's), or just the product price when it has no variants
+const EFFECTIVE_PRICES = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+    { $map: { input: '$variants', as: 'variant', in: { $ifNull: ['$$variant.price', '$price'] } } },
+    ['$price'],
+  ],
+};
+
+// Sort options for ?sort= with their default directions; ?order=asc|desc overrides them
+const PRODUCT_SORTS = {
+  createdAt: { createdAt: -1 },
+  // By the lowest price the product sells at, matching the price filter
+  price: { lowestPrice: 1 },
+  rating: { rating: -1, numReviews: -1 },
+  // No sales counter is kept, so popularity goes by bestseller flag and review activity
+  popularity: { isBestSeller: -1, numReviews: -1, rating: -1 },
+  relevance: { score: -1 },
+};
+
+// Products count as new arrivals for this many days unless unflagged by an admin
+const getNewArrivalDays = () => Number(process.env.PRODUCT_NEW_ARRIVAL_DAYS ?? 30);
+
+const getProductSort = ({ sort, order, search }) => {
+  // Relevance needs a search term; without a valid choice, searches sort by relevance
+  let field = PRODUCT_SORTS[sort] ? sort : undefined;
+  if (!field || (field === 'relevance' && !search)) {
+    field = search ? 'relevance' : 'createdAt';
+  }
+  const spec = { ...PRODUCT_SORTS[field] };
+  if (order && field !== 'relevance') {
+    for (const key of Object.keys(spec)) {
+      spec[key] = order === 'asc' ? 1 : -1;
+    }
+  }
+  // Tie-break on _id so pages are stable
+  return { ...spec, _id: Object.values(spec)[0] };
+};
+
+/**
+ * Split the request filters into the part every facet shares and the
+ * category and price parts. Each facet ignores its own filter, so the counts
+ * show what the shopper would get by picking a different category or price.
+ */
+const buildFilters = (params) => {
+  const base = {};
+  if (params.search) base.$text = { $search: params.search };
+  if (params.featured) base.isFeatured = true;
+  if (params.bestseller) base.isBestSeller = true;
+  if (params.inStock) base.stock = { $gt: 0 };
+  if (params.minRating != null) base.rating = { $gte: params.minRating };
+  if (params.newArrivals) {
+    base.isNewArrival = true;
+    base.createdAt = { $gte: new Date(Date.now() - getNewArrivalDays() * 24 * 60 * 60 * 1000) };
+  }
+
+  const category = params.category ? { category: params.category } : {};
+
+  const price = {};
+  if (params.minPrice != null) price.$gte = params.minPrice;
+  if (params.maxPrice != null) price.$lte = params.maxPrice;
+
+  // A product matches when any of its variants is priced in the range
+  const priceFilter = Object.keys(price).length > 0 ? { effectivePrices: { $elemMatch: price } } : {};
+  return { base, category, price: priceFilter };
+};
+
+const toPriceBuckets = (buckets) =>
+  buckets.map(({ _id, count }) => {
+    const index = PRICE_BUCKET_BOUNDARIES.indexOf(_id);
+    return { min: _id, max: PRICE_BUCKET_BOUNDARIES[index + 1] ?? null, count };
+  });
+
+/**
+ * Find a page of products along with facet counts per category and price
+ * bucket, all in one aggregation. Pages by cursor when pagination has one.
+ */
+const searchProducts = async (params, { skip, limit, cursor }) => {
+  const { base, category, price } = buildFilters(params);
+  const sort = getProductSort(params);
+
+  const pipeline = [{ $match: base }];
+  if (params.search) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+  pipeline.push({ $addFields: { effectivePrices: EFFECTIVE_PRICES } });
+  pipeline.push({ $addFields: { lowestPrice: { $min: '$effectivePrices' } } });
+  pipeline.push({
+    $facet: {
+      products: [
+        { $match: { ...category, ...price, ...cursorFilter(sort, cursor) } },
+        { $sort: sort },
+        { $skip: cursor ? 0 : skip },
+        // One extra to tell whether there is a next page
+        { $limit: limit + 1 },
+        { $unset: 'effectivePrices' },
+      ],
+      total: [{ $match: { ...category, ...price } }, { $count: 'count' }],
+      categories: [
+        { $match: price },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ],
+      // A product counts once in every bucket one of its variants is priced in
+      priceBuckets: [
+        { $match: category },
+        { $unwind: '$effectivePrices' },
+        {
+          $group: {
+            _id: {
+              product: '$_id',
+              bucket: {
+                $max: {
+                  $filter: {
+                    input: PRICE_BUCKET_BOUNDARIES,
+                    cond: { $lte: ['$$this', '$effectivePrices'] },
+                  },
+                },
+              },
+            },
+          },
+        },
+        { $group: { _id: '$_id.bucket', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ],
+    },
+  });
+
+  const [result] = await Product.aggregate(pipeline);
+  const { items, nextCursor } = toPage(result.products, sort, limit);
+  return {
+    // The text score and lowest price are only needed for sorting and the cursor, so they stay internal
+    products: items.map(({ score, lowestPrice, ...product }) => product),
+    nextCursor,
+    total: result.total[0] ? result.total[0].count : 0,
+    facets: {
+      categories: result.categories.map(({ _id, count }) => ({ category: _id, count })),
+      priceBuckets: toPriceBuckets(result.priceBuckets),
+    },
+  };
+};
+
+export { PRODUCT_SORTS, searchProducts };
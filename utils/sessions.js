@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // matches the refresh token lifetime
+
+// The refresh cookie covers all of /api/auth so logout can read it too;
+// it used to be scoped to the refresh route alone
+const REFRESH_TOKEN_COOKIE_PATH = '/api/auth';
+const LEGACY_REFRESH_TOKEN_COOKIE_PATH = '/api/auth/refresh-token';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Error thrown when a refresh token can't be used; reused marks token theft
+const sessionError = (message, { reused = false } = {}) => {
+  const error = new Error(message);
+  error.reused = reused;
+  return error;
+};
+
+const clientDetails = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip || '',
+});
+
+/**
+ * Start a new session for a user and issue its tokens.
+ */
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const tokens = user.generateAuthTokens(sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash: hashToken(tokens.refreshToken),
+    ...clientDetails(req),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+  });
+
+  return { ...tokens, session };
+};
+
+/**
+ * Exchange a refresh token for a new token pair on the same session.
+ * Presenting a token that was already rotated out means it has leaked, so
+ * the whole session is revoked.
+ */
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch (error) {
+    throw sessionError(error.name === 'TokenExpiredError' ? 'Refresh token expired' : 'Invalid refresh token');
+  }
+
+  const session = decoded.sid && await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  if (session.tokenHash !== hashToken(refreshToken)) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'refresh-token-reuse';
+    await session.save();
+    throw sessionError('Refresh token reuse detected', { reused: true });
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.isActive) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const tokens = user.generateAuthTokens(session._id);
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: { $exists: false } },
+    {
+      $set: {
+        tokenHash: hashToken(tokens.refreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+        ...clientDetails(req),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    throw sessionError('Refresh token reuse detected', { reused: true });
+  }
+
+  return { ...tokens, session: rotated, user };
+};
+
+const revokeSession = (sessionId, userId, reason = 'logout') =>
+  Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+
+/**
+ * Revoke the session a refresh token belongs to. Works with expired tokens
+ * too, so a client can always sign out. Resolves to the revoked session, or
+ * null if the token is invalid or the session was already revoked.
+ */
+const revokeSessionByRefreshToken = async (refreshToken, reason = 'logout') => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET, { ignoreExpiration: true });
+  } catch (error) {
+    return null;
+  }
+  if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+    return null;
+  }
+  return revokeSession(decoded.sid, decoded.id, reason);
+};
+
+// Whether an access token's session is still signed in
+const isSessionActive = async (sessionId, userId) =>
+  Boolean(
+    sessionId &&
+      mongoose.isValidObjectId(sessionId) &&
+      (await Session.exists({
+        _id: sessionId,
+        user: userId,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+      }))
+  );
+
+// Revoke every session of a user, optionally keeping one (the caller's own)
+const revokeAllSessions = (userId, { except, reason = 'logout-all' } = {}) => {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+  return Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+const listActiveSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } })
+    .select('-tokenHash')
+    .sort({ lastUsedAt: -1 });
+
+export {
+  REFRESH_TOKEN_COOKIE_PATH,
+  LEGACY_REFRESH_TOKEN_COOKIE_PATH,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  isSessionActive,
+  revokeAllSessions,
+  listActiveSessions,
+};
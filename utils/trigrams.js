@@ -0,0 +1,44 @@
+// Longest word prefix stored for autocomplete; longer typed words still match via trigrams
+const MAX_PREFIX_LENGTH = 20;
+
+/**
+ * Lowercase, strip accents and turn everything except letters and digits into
+ * spaces, so "Ranma ½ Figúre!" and "ranma 1/2 figure" compare alike.
+ */
+const normalizeText = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const tokenize = (text) => {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+// Trigrams of each word padded like PostgreSQL's pg_trgm ("  na", " nar", ...)
+const trigramsOf = (text) => {
+  const grams = new Set();
+  for (const word of tokenize(text)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i += 1) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return [...grams];
+};
+
+// Every leading slice of every word, for prefix matches while the user types
+const prefixesOf = (text) => {
+  const prefixes = new Set();
+  for (const word of tokenize(text)) {
+    for (let length = 1; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length += 1) {
+      prefixes.add(word.slice(0, length));
+    }
+  }
+  return [...prefixes];
+};
+
+export { MAX_PREFIX_LENGTH, normalizeText, tokenize, trigramsOf, prefixesOf };
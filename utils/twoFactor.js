@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { generateSecret, verifyCode, buildOtpauthUrl } from './totp.js';
+
+const BACKUP_CODE_COUNT = 10;
+const MFA_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Neon Waifu Wares';
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Codes look like "a1b2c-3d4e5"; only their hashes are stored
+const generateBackupCodes = () =>
+  Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+/**
+ * Start enrollment: store a pending secret and return what the
+ * authenticator app needs.
+ */
+const beginEnrollment = (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({ secret, account: user.email, issuer: getIssuer() }),
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the pending secret. Returns the
+ * plain backup codes (shown once) or null if the code is wrong.
+ */
+const confirmEnrollment = (user, code) => {
+  const { pendingSecret } = user.twoFactor;
+  const counter = pendingSecret ? verifyCode(pendingSecret, code) : null;
+  if (counter === null) return null;
+
+  const backupCodes = generateBackupCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedCounter = counter;
+  user.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+  return backupCodes;
+};
+
+const regenerateBackupCodes = (user) => {
+  const backupCodes = generateBackupCodes();
+  user.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+  return backupCodes;
+};
+
+const disableTwoFactor = (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.enabledAt = undefined;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = [];
+  user.twoFactor.lastUsedCounter = undefined;
+};
+
+/**
+ * Check a TOTP code or, failing that, a backup code. Accepted codes are
+ * consumed: TOTP time steps can't be reused and backup codes are removed.
+ * The user must be loaded with the secret, backupCodes and lastUsedCounter.
+ */
+const verifySecondFactor = (user, code) => {
+  const { secret, lastUsedCounter, backupCodes = [] } = user.twoFactor;
+
+  const counter = secret ? verifyCode(secret, code) : null;
+  if (counter !== null && (lastUsedCounter == null || counter > lastUsedCounter)) {
+    user.twoFactor.lastUsedCounter = counter;
+    return { method: 'totp' };
+  }
+
+  const hash = hashBackupCode(String(code || ''));
+  if (backupCodes.includes(hash)) {
+    user.twoFactor.backupCodes = backupCodes.filter((stored) => stored !== hash);
+    return { method: 'backup-code', remainingBackupCodes: user.twoFactor.backupCodes.length };
+  }
+
+  return null;
+};
+
+// Short-lived token proving the password step passed; not valid as an access token
+const createMfaChallenge = (user) =>
+  jwt.sign({ id: user._id, purpose: 'mfa' }, process.env.JWT_SECRET, { expiresIn: MFA_CHALLENGE_TTL_SECONDS });
+
+const verifyMfaChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'mfa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Fields to select when loading a user for second-factor checks
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedCounter';
+
+export {
+  MFA_CHALLENGE_TTL_SECONDS,
+  TWO_FACTOR_SECRETS,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  verifySecondFactor,
+  createMfaChallenge,
+  verifyMfaChallenge,
+};
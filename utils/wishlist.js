@@ -0,0 +1,110 @@
+import Product from '../models/Product.js';
+import Wishlist from '../models/Wishlist.js';
+import { getNotifier } from './notifier.js';
+
+/**
+ * Describe a wishlist using live product data, so each entry shows the
+ * current price and whether it can be bought right now.
+ */
+const buildWishlistResponse = async (wishlist) => {
+  const items = wishlist ? wishlist.items : [];
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product) } });
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const entries = items.map((item) => {
+    const product = productsById.get(item.product.toString());
+    if (!product) {
+      return {
+        product: item.product,
+        addedAt: item.addedAt,
+        available: false,
+        inStock: false,
+        issue: 'Product is no longer available',
+      };
+    }
+
+    const variant = item.variant && product.variants.id(item.variant);
+    if (item.variant && !variant) {
+      return {
+        product: product._id,
+        variant: item.variant,
+        name: product.name,
+        addedAt: item.addedAt,
+        available: false,
+        inStock: false,
+        issue: 'This option is no longer available',
+      };
+    }
+
+    const stock = variant ? variant.stock : product.stock;
+    return {
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      attributes: variant ? variant.attributes : undefined,
+      name: product.name,
+      image: (variant && variant.images[0]) || product.images[0],
+      price: product.priceFor(variant),
+      stock,
+      addedAt: item.addedAt,
+      available: true,
+      inStock: stock > 0,
+    };
+  });
+
+  return {
+    items: entries,
+    itemCount: entries.length,
+  };
+};
+
+// Wishlist items a restock of the product satisfies: those saved without a
+// variant, and those whose variant can be bought again. With prefix 'item.'
+// the same filter works as an arrayFilter.
+const restockedItemFilter = (product, prefix = '') => {
+  const inStockVariants = product.variants.filter((variant) => variant.stock > 0).map((variant) => variant._id);
+  return {
+    [`${prefix}product`]: product._id,
+    $or: [
+      { [`${prefix}variant`]: null },
+      { [`${prefix}variant`]: { $in: inStockVariants } },
+    ],
+  };
+};
+
+/**
+ * Tell everyone who wishlisted a product, or one of its variants that is now
+ * in stock, that it is back in stock. Each user is notified once per restock
+ * even if they saved several of its variants; a failed delivery is logged and
+ * doesn't stop the others.
+ */
+const notifyBackInStock = async (product) => {
+  const wishlists = await Wishlist.find({ items: { $elemMatch: restockedItemFilter(product) } })
+    .populate('user', 'name email isActive');
+
+  const notifier = getNotifier();
+  const notifiedAt = new Date();
+  let notified = 0;
+
+  for (const wishlist of wishlists) {
+    if (!wishlist.user || !wishlist.user.isActive) continue;
+
+    try {
+      await notifier.backInStock({ user: wishlist.user, product });
+      notified += 1;
+    } catch (error) {
+      console.error(`Back-in-stock notification failed for user ${wishlist.user._id}:`, error.message);
+      continue;
+    }
+
+    await Wishlist.updateOne(
+      { _id: wishlist._id },
+      { $set: { 'items.$[item].notifiedAt': notifiedAt } },
+      { arrayFilters: [restockedItemFilter(product, 'item.')] }
+    );
+  }
+
+  return notified;
+};
+
+export { buildWishlistResponse, notifyBackInStock };